@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+// Keep dotenv's banner out of stdout, which may be an export piped to a file
+process.env.DOTENV_CONFIG_QUIET = process.env.DOTENV_CONFIG_QUIET || 'true';
+
+const { main } = require('../src/cli');
+
+// Exit explicitly: storage clients (GCS, timers) may otherwise keep the process alive
+main(process.argv.slice(2)).then((code) => process.exit(code));
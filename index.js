@@ -1,6 +1,54 @@
 const app = require('./src/app');
 const config = require('./src/config');
+const ipnet = require('./src/ipnet');
+const geoip = require('./src/geoip');
+const tokens = require('./src/tokens');
+const signing = require('./src/signing');
+const notifiers = require('./src/notifiers');
+const delivery = require('./src/delivery');
+const digest = require('./src/digest');
+const runtime = require('./src/runtime');
+const retention = require('./src/retention');
+const storage = require('./src/storage');
 
-app.listen(config.PORT, () => {
-  console.log(`ActionIP Aggregator listening on port ${config.PORT}`);
-});
+// Fail fast on a malformed IP_ALLOWLIST / IP_DENYLIST rather than on every gate call
+ipnet.validateConfig();
+// Parse API_TOKENS_FILE now so a broken registry doesn't lock every client out later
+tokens.getTokens();
+// Same for HMAC_MODE / HMAC_NONCE_STORE, NOTIFIERS_FILE, DIGEST_AT_UTC, the retention limits and READ_MODE
+signing.validateConfig();
+notifiers.getNotifiers();
+digest.validateConfig();
+runtime.validateConfig();
+retention.validateConfig();
+storage.validateConfig();
+// READ_MODE=bigquery: point at the migration now rather than at every fallback later
+storage.missingBigQueryColumns()
+  .then((missing) => {
+    if (missing.length) {
+      console.warn(`READ_MODE=bigquery: ${config.DATASET_ID}.${config.TABLE_ID} lacks ${missing.join(', ')}; ` +
+        'reads fall back to storage until the README migration adds them');
+    }
+  })
+  .catch(err => console.warn('Could not check the BigQuery table:', err.message));
+// Load the GeoIP/ASN databases (if configured) before taking traffic
+geoip.lookup('127.0.0.1');
+
+// Retry failed sink/notifier deliveries in the background
+delivery.startWorker();
+// VM mode: daily digest at DIGEST_AT_UTC (Cloud Run uses Cloud Scheduler -> POST /digest)
+digest.startScheduler();
+
+// Load the runtime config before taking traffic (a broken one stops startup; later it is
+// re-read in the background and a broken version is rejected, keeping the last good one)
+runtime.reload({ strict: true })
+  .then(() => {
+    runtime.startWatcher();
+    app.listen(config.PORT, () => {
+      console.log(`ActionIP Aggregator listening on port ${config.PORT}`);
+    });
+  })
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
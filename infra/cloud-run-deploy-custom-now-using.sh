@@ -32,13 +32,13 @@ fi
 
 # 2. Set Lifecycle Rule (Day-level retention)
 if [ "$LIFECYCLE_DAYS" -gt 0 ]; then
-    echo "Setting GCS Lifecycle rule to delete objects older than $LIFECYCLE_DAYS days..."
+    echo "Setting GCS Lifecycle rule to delete records (ips/) older than $LIFECYCLE_DAYS days..."
     cat > lifecycle.json <<EOF
 {
   "rule": [
     {
       "action": { "type": "Delete" },
-      "condition": { "age": $LIFECYCLE_DAYS }
+      "condition": { "age": $LIFECYCLE_DAYS, "matchesPrefix": ["ips/"] }
     }
   ]
 }
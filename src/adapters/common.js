@@ -0,0 +1,122 @@
+// Helpers shared by the storage adapters.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// IPs become folder/object names, so strip anything that is not safe in a path.
+const toSafeIp = (ip) => String(ip).replace(/[^a-zA-Z0-9.:-]/g, '_');
+
+// Key a record is partitioned under: its IP, or the IP's network when prefix grouping is on.
+const getPartitionKey = (record) => record.ip_group || record.ip;
+
+// UTC date (YYYY-MM-DD) a record is partitioned under.
+const getDateString = (date = new Date()) => date.toISOString().split('T')[0];
+const getRecordDateString = (record) => record.ts ? String(record.ts).split('T')[0] : getDateString();
+
+// Unique object/file name for one run record.
+const getRecordFilename = (record) =>
+    `${Date.now()}-${record.run_id}-${Math.floor(Math.random() * 1000)}.json`;
+
+// Every UTC date (YYYY-MM-DD) between two Dates, inclusive.
+function getDateStringsInRange(from, to) {
+    const dates = [];
+    const cursor = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+    while (cursor <= to) {
+        dates.push(getDateString(cursor));
+        cursor.setTime(cursor.getTime() + DAY_MS);
+    }
+    return dates;
+}
+
+// Start and end of a UTC day as Dates.
+function getDayRange(dateStr = getDateString()) {
+    const from = new Date(`${dateStr}T00:00:00.000Z`);
+    return { from, to: new Date(from.getTime() + DAY_MS - 1) };
+}
+
+// Range filter for records read from day partitions. Records with an unparseable ts are kept:
+// they were partitioned by arrival date, which is already inside the range.
+function isInRange(record, from, to) {
+    const t = Date.parse(record.ts);
+    if (Number.isNaN(t)) return true;
+    return t >= from.getTime() && t <= to.getTime();
+}
+
+// Day partition names (ips/<YYYY-MM-DD>/, audit/<YYYY-MM-DD>/, ...).
+const DATE_PARTITION_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whole UTC days `fromStr` through `toStr` (YYYY-MM-DD, inclusive) as { from, to } Dates,
+// or null if either is not a valid day or they are out of order.
+function parseDayRange(fromStr, toStr = fromStr) {
+    if (!DATE_PARTITION_RE.test(fromStr) || !DATE_PARTITION_RE.test(toStr)) return null;
+    const from = getDayRange(fromStr).from;
+    const to = getDayRange(toStr).to;
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) return null;
+    return { from, to };
+}
+
+/**
+ * Retention of a day partition against a cutoff: 'expired' if the whole day is before it,
+ * 'check' for the cutoff's own day (each record's ts decides, see isRecordExpired),
+ * 'keep' for later days and anything that is not a date.
+ */
+function classifyPartition(dateStr, cutoff) {
+    if (!DATE_PARTITION_RE.test(dateStr)) return 'keep';
+    const cutoffDay = getDateString(cutoff);
+    if (dateStr < cutoffDay) return 'expired';
+    return dateStr === cutoffDay ? 'check' : 'keep';
+}
+
+// Records with an unparseable ts are kept until their (arrival) day partition expires whole.
+function isRecordExpired(record, cutoff) {
+    const t = Date.parse(record.ts);
+    return !Number.isNaN(t) && t < cutoff.getTime();
+}
+
+// Runs fn(item) over items, at most `limit` at a time.
+async function forEachLimit(items, limit, fn) {
+    for (let i = 0; i < items.length; i += limit) {
+        await Promise.all(items.slice(i, i + limit).map(fn));
+    }
+}
+
+/**
+ * In-process mutex keyed by string. Calls for the same key run one at a time, in arrival order.
+ * Enough for single-process deployments (VM / Docker) where every request shares this process.
+ */
+function createKeyedMutex() {
+    const tails = new Map();
+
+    return async function withLock(key, fn) {
+        const previous = tails.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        const tail = previous.then(() => current);
+        tails.set(key, tail);
+
+        await previous;
+        try {
+            return await fn();
+        } finally {
+            release();
+            if (tails.get(key) === tail) tails.delete(key);
+        }
+    };
+}
+
+module.exports = {
+    DAY_MS,
+    createKeyedMutex,
+    toSafeIp,
+    getPartitionKey,
+    getDateString,
+    getRecordDateString,
+    getRecordFilename,
+    getDateStringsInRange,
+    getDayRange,
+    isInRange,
+    DATE_PARTITION_RE,
+    parseDayRange,
+    classifyPartition,
+    isRecordExpired,
+    forEachLimit,
+};
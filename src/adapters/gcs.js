@@ -0,0 +1,229 @@
+const {
+    createKeyedMutex,
+    toSafeIp,
+    getPartitionKey,
+    getRecordDateString,
+    getRecordFilename,
+    getDateStringsInRange,
+    isInRange,
+    classifyPartition,
+    isRecordExpired,
+    forEachLimit,
+} = require('./common');
+
+const READ_CONCURRENCY = 50;
+const DELETE_CONCURRENCY = 20;
+const PRECONDITION_FAILED = 412;
+const NOT_FOUND = 404;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Google Cloud Storage adapter (Cloud Run mode).
+ * Layout: gs://<bucket>/ips/<YYYY-MM-DD>/<ip>/<timestamp>-<run_id>-<rand>.json
+ * JSON objects (aggregates etc.) live at gs://<bucket>/<key>.
+ *
+ * `client` is a @google-cloud/storage Storage instance; when it or the bucket name is
+ * missing every operation is a no-op so the service can still start without credentials.
+ */
+function createGcsAdapter({ client, bucketName, lockTimeoutMs = 10000, lockTtlMs = 60000 }) {
+    const getBucket = () => (client && bucketName ? client.bucket(bucketName) : null);
+    const localLock = createKeyedMutex();
+
+    async function append(record) {
+        const bucket = getBucket();
+        if (!bucket) {
+            console.warn('BUCKET_NAME not set or Storage not init, skipping GCS write.');
+            return;
+        }
+
+        const gcsPath = `ips/${getRecordDateString(record)}/${toSafeIp(getPartitionKey(record))}/${getRecordFilename(record)}`;
+        await bucket.file(gcsPath).save(JSON.stringify(record));
+    }
+
+    async function downloadAll(files, records) {
+        for (let i = 0; i < files.length; i += READ_CONCURRENCY) {
+            const chunk = files.slice(i, i + READ_CONCURRENCY);
+            await Promise.all(chunk.map(async (file) => {
+                try {
+                    const [content] = await file.download();
+                    records.push(JSON.parse(content.toString()));
+                } catch (err) {
+                    if (err.code !== 404) throw err; // Deleted by cleanup since the listing
+                }
+            }));
+        }
+    }
+
+    async function query({ ip, from, to }) {
+        const bucket = getBucket();
+        if (!bucket) return [];
+        const records = [];
+
+        for (const dateStr of getDateStringsInRange(from, to)) {
+            const prefix = ip ? `ips/${dateStr}/${toSafeIp(ip)}/` : `ips/${dateStr}/`;
+            const [files] = await bucket.getFiles({ prefix });
+            await downloadAll(files, records);
+        }
+
+        return records.filter(r => isInRange(r, from, to));
+    }
+
+    // Listing prefixes is possible but expensive/slow. Returning null.
+    async function countUniqueIps() {
+        return null;
+    }
+
+    // Lists ips/ only; a record is downloaded just when it sits in the cutoff's own day.
+    async function deleteOlderThan(cutoff, { dryRun = false, concurrency = DELETE_CONCURRENCY } = {}) {
+        const bucket = getBucket();
+        const result = { scanned: 0, deleted: 0, failed: 0 };
+        if (!bucket) return result;
+
+        const [files] = await bucket.getFiles({ prefix: 'ips/' });
+        const candidates = files
+            .map(file => ({ file, retention: classifyPartition(file.name.split('/')[1], cutoff) }))
+            .filter(({ retention }) => retention !== 'keep');
+        result.scanned = candidates.length;
+
+        await forEachLimit(candidates, concurrency, async ({ file, retention }) => {
+            try {
+                if (retention === 'check') {
+                    const [content] = await file.download();
+                    if (!isRecordExpired(JSON.parse(content.toString()), cutoff)) return;
+                }
+                if (!dryRun) await file.delete({ ignoreNotFound: true });
+                result.deleted++;
+            } catch (err) {
+                result.failed++;
+                console.error(`Error deleting expired record ${file.name}:`, err.message);
+            }
+        });
+
+        return result;
+    }
+
+    async function deleteRecords({ ip, from, to, runId }) {
+        const bucket = getBucket();
+        let deleted = 0;
+        if (!bucket) return { deleted };
+
+        for (const dateStr of getDateStringsInRange(from, to)) {
+            const [files] = await bucket.getFiles({ prefix: `ips/${dateStr}/${toSafeIp(ip)}/` });
+            for (const file of files) {
+                const [content] = await file.download();
+                const record = JSON.parse(content.toString());
+                if (runId !== undefined && String(record.run_id) !== String(runId)) continue;
+                if (!isInRange(record, from, to)) continue;
+                await file.delete({ ignoreNotFound: true });
+                deleted++;
+            }
+        }
+
+        return { deleted };
+    }
+
+    /**
+     * Cross-instance lock built on object-generation preconditions: creating
+     * locks/<key>.lock with ifGenerationMatch=0 only succeeds if no one else holds it.
+     * Locks older than lockTtlMs (a crashed instance) are broken, again guarded by generation.
+     */
+    async function withLock(key, fn) {
+        const bucket = getBucket();
+        if (!bucket) return localLock(key, fn);
+
+        // Serialize inside this instance first so only one request per key polls GCS.
+        return localLock(key, async () => {
+            const file = bucket.file(`locks/${key}.lock`);
+            const generation = await acquire(file, key);
+            try {
+                return await fn();
+            } finally {
+                await file.delete({ ifGenerationMatch: generation })
+                    .catch(err => console.error(`Error releasing GCS lock ${key}:`, err.message));
+            }
+        });
+    }
+
+    async function acquire(file, key) {
+        const deadline = Date.now() + lockTimeoutMs;
+        let delay = 50;
+
+        for (;;) {
+            try {
+                await file.save(JSON.stringify({ key, acquired_at: new Date().toISOString() }), {
+                    resumable: false,
+                    preconditionOpts: { ifGenerationMatch: 0 },
+                });
+                if (file.metadata && file.metadata.generation) return file.metadata.generation;
+                const [metadata] = await file.getMetadata();
+                return metadata.generation;
+            } catch (err) {
+                if (err.code !== PRECONDITION_FAILED) throw err;
+            }
+
+            await breakStaleLock(file);
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for GCS lock ${key}`);
+            }
+            await sleep(delay + Math.random() * delay);
+            delay = Math.min(delay * 2, 1000);
+        }
+    }
+
+    async function breakStaleLock(file) {
+        try {
+            const [metadata] = await file.getMetadata();
+            if (Date.now() - new Date(metadata.timeCreated).getTime() > lockTtlMs) {
+                await file.delete({ ifGenerationMatch: metadata.generation });
+            }
+        } catch (e) {} // Released or broken by someone else in the meantime
+    }
+
+    async function getObject(key) {
+        const bucket = getBucket();
+        if (!bucket) return null;
+        try {
+            const [content] = await bucket.file(key).download();
+            return JSON.parse(content.toString());
+        } catch (err) {
+            if (err.code === NOT_FOUND) return null;
+            throw err;
+        }
+    }
+
+    async function putObject(key, value) {
+        const bucket = getBucket();
+        if (!bucket) return;
+        await bucket.file(key).save(JSON.stringify(value), { resumable: false });
+    }
+
+    async function listObjects(prefix) {
+        const bucket = getBucket();
+        if (!bucket) return [];
+        const [files] = await bucket.getFiles({ prefix });
+        return files.map(file => file.name).sort();
+    }
+
+    async function deleteObject(key) {
+        const bucket = getBucket();
+        if (!bucket) return;
+        await bucket.file(key).delete({ ignoreNotFound: true });
+    }
+
+    return {
+        name: 'gcs',
+        append,
+        query,
+        countUniqueIps,
+        deleteOlderThan,
+        deleteRecords,
+        withLock,
+        getObject,
+        putObject,
+        listObjects,
+        deleteObject,
+    };
+}
+
+module.exports = { createGcsAdapter };
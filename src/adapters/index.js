@@ -0,0 +1,64 @@
+const { createLocalAdapter } = require('./local');
+const { createGcsAdapter } = require('./gcs');
+const { createSqliteAdapter } = require('./sqlite');
+
+/**
+ * Storage adapter contract. Every backend returns an object with:
+ *
+ *   name                                   'local' | 'gcs' | 'sqlite'
+ *   append(record)                -> void   persist one run record
+ *   query({ ip?, from, to })      -> []     records with from <= ts <= to (all IPs if ip omitted)
+ *   countUniqueIps({ from, to })  -> n|null distinct IPs in range (null if too costly to compute)
+ *   deleteOlderThan(cutoff, { dryRun?, concurrency? }) -> { scanned, deleted, failed }
+ *                                          records under ips/ with ts < cutoff (dryRun: count only)
+ *   deleteRecords({ ip, from, to, runId? }) -> { deleted }  an IP's records in range (one run if runId)
+ *   withLock(key, fn)             -> fn()   run fn while holding an exclusive lock on key
+ *   getObject(key)                -> obj|null  read a JSON document (aggregates, reports, ...)
+ *   putObject(key, value)         -> void   write a JSON document, replacing any existing one
+ *   listObjects(prefix)           -> [key]  keys starting with prefix (a folder, e.g. 'aggregates/')
+ *   deleteObject(key)             -> void   no-op if missing
+ *
+ * All methods are async and throw on storage errors: a run that was not written must never be
+ * reported as stored (/reserve fails closed, /ingest answers 500, bulk marks the line).
+ */
+const ADAPTER_METHODS = [
+    'append',
+    'query',
+    'countUniqueIps',
+    'deleteOlderThan',
+    'deleteRecords',
+    'withLock',
+    'getObject',
+    'putObject',
+    'listObjects',
+    'deleteObject',
+];
+
+const factories = {
+    local: createLocalAdapter,
+    gcs: createGcsAdapter,
+    sqlite: createSqliteAdapter,
+};
+
+function createAdapter(type, options) {
+    const factory = factories[type];
+    if (!factory) {
+        throw new Error(`Unknown STORAGE_TYPE: ${type}`);
+    }
+    return assertAdapter(factory(options));
+}
+
+function assertAdapter(adapter) {
+    for (const method of ADAPTER_METHODS) {
+        if (typeof adapter[method] !== 'function') {
+            throw new Error(`Storage adapter "${adapter.name}" is missing ${method}()`);
+        }
+    }
+    return adapter;
+}
+
+module.exports = {
+    ADAPTER_METHODS,
+    createAdapter,
+    assertAdapter,
+};
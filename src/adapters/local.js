@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    createKeyedMutex,
+    toSafeIp,
+    getPartitionKey,
+    getRecordDateString,
+    getRecordFilename,
+    getDateStringsInRange,
+    isInRange,
+    classifyPartition,
+    isRecordExpired,
+} = require('./common');
+
+/**
+ * Local filesystem adapter (VM / Docker mode).
+ * Layout: <dataDir>/ips/<YYYY-MM-DD>/<ip>/<timestamp>-<run_id>-<rand>.json
+ * JSON objects (aggregates etc.) live at <dataDir>/<key>.
+ */
+function createLocalAdapter({ dataDir }) {
+    const ipsDir = path.join(dataDir, 'ips');
+    const withLock = createKeyedMutex();
+
+    async function append(record) {
+        const dir = path.join(ipsDir, getRecordDateString(record), toSafeIp(getPartitionKey(record)));
+        const filePath = path.join(dir, getRecordFilename(record));
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(record));
+    }
+
+    function readIpDir(dir, records) {
+        if (!fs.existsSync(dir)) return;
+        for (const file of fs.readdirSync(dir)) {
+            if (file.endsWith('.json')) {
+                records.push(JSON.parse(fs.readFileSync(path.join(dir, file))));
+            }
+        }
+    }
+
+    async function query({ ip, from, to }) {
+        const records = [];
+
+        for (const dateStr of getDateStringsInRange(from, to)) {
+            const dayDir = path.join(ipsDir, dateStr);
+            if (ip) {
+                readIpDir(path.join(dayDir, toSafeIp(ip)), records);
+            } else if (fs.existsSync(dayDir)) {
+                for (const entry of fs.readdirSync(dayDir, { withFileTypes: true })) {
+                    if (entry.isDirectory()) readIpDir(path.join(dayDir, entry.name), records);
+                }
+            }
+        }
+
+        return records.filter(r => isInRange(r, from, to));
+    }
+
+    // Each IP is a subdirectory of its day folder, so this never opens a record.
+    async function countUniqueIps({ from, to }) {
+        const ips = new Set();
+
+        for (const dateStr of getDateStringsInRange(from, to)) {
+            const dayDir = path.join(ipsDir, dateStr);
+            if (!fs.existsSync(dayDir)) continue;
+            for (const entry of fs.readdirSync(dayDir, { withFileTypes: true })) {
+                if (entry.isDirectory()) ips.add(entry.name);
+            }
+        }
+
+        return ips.size;
+    }
+
+    // Only ips/ is walked; days before the cutoff's day are deleted without opening a record.
+    async function deleteOlderThan(cutoff, { dryRun = false } = {}) {
+        const result = { scanned: 0, deleted: 0, failed: 0 };
+        if (!fs.existsSync(ipsDir)) return result;
+
+        const removeIfEmpty = (dir) => {
+            if (!dryRun && fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+        };
+
+        for (const day of fs.readdirSync(ipsDir)) {
+            const retention = classifyPartition(day, cutoff);
+            if (retention === 'keep') continue;
+            const dayDir = path.join(ipsDir, day);
+
+            for (const entry of fs.readdirSync(dayDir, { withFileTypes: true })) {
+                if (!entry.isDirectory()) continue;
+                const dir = path.join(dayDir, entry.name);
+
+                for (const file of fs.readdirSync(dir)) {
+                    if (!file.endsWith('.json')) continue;
+                    const filePath = path.join(dir, file);
+                    result.scanned++;
+                    try {
+                        if (retention === 'check' && !isRecordExpired(JSON.parse(fs.readFileSync(filePath)), cutoff)) continue;
+                        if (!dryRun) fs.unlinkSync(filePath);
+                        result.deleted++;
+                    } catch (err) {
+                        result.failed++;
+                        console.error(`Error deleting expired record ${filePath}:`, err.message);
+                    }
+                }
+                removeIfEmpty(dir);
+            }
+            removeIfEmpty(dayDir);
+        }
+
+        return result;
+    }
+
+    async function deleteRecords({ ip, from, to, runId }) {
+        let deleted = 0;
+
+        for (const dateStr of getDateStringsInRange(from, to)) {
+            const dir = path.join(ipsDir, dateStr, toSafeIp(ip));
+            if (!fs.existsSync(dir)) continue;
+
+            for (const file of fs.readdirSync(dir)) {
+                if (!file.endsWith('.json')) continue;
+                const filePath = path.join(dir, file);
+                const record = JSON.parse(fs.readFileSync(filePath));
+                if (runId !== undefined && String(record.run_id) !== String(runId)) continue;
+                if (!isInRange(record, from, to)) continue;
+                fs.unlinkSync(filePath);
+                deleted++;
+            }
+            if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+        }
+
+        return { deleted };
+    }
+
+    async function getObject(key) {
+        const filePath = path.join(dataDir, key);
+        if (!fs.existsSync(filePath)) return null;
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    // Write to a temp file and rename, so readers never see a half-written object.
+    async function putObject(key, value) {
+        const filePath = path.join(dataDir, key);
+        const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(value));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    async function listObjects(prefix) {
+        const keys = [];
+        const walk = (dir) => {
+            if (!fs.existsSync(dir)) return;
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const entryPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(entryPath);
+                } else if (!entry.name.endsWith('.tmp')) {
+                    keys.push(path.relative(dataDir, entryPath).split(path.sep).join('/'));
+                }
+            }
+        };
+        walk(path.join(dataDir, prefix));
+        return keys.sort();
+    }
+
+    async function deleteObject(key) {
+        fs.rmSync(path.join(dataDir, key), { force: true });
+    }
+
+    return {
+        name: 'local',
+        append,
+        query,
+        countUniqueIps,
+        deleteOlderThan,
+        deleteRecords,
+        withLock,
+        getObject,
+        putObject,
+        listObjects,
+        deleteObject,
+    };
+}
+
+module.exports = { createLocalAdapter };
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { createKeyedMutex, getPartitionKey } = require('./common');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS records (
+    id     INTEGER PRIMARY KEY AUTOINCREMENT,
+    ip     TEXT NOT NULL, -- partition key: the IP, or its network with prefix grouping
+    ts     INTEGER NOT NULL,
+    run_id TEXT,
+    data   TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_records_ip_ts ON records (ip, ts);
+CREATE INDEX IF NOT EXISTS idx_records_ts ON records (ts);
+CREATE TABLE IF NOT EXISTS objects (
+    key        TEXT PRIMARY KEY,
+    data       TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+);
+`;
+
+/**
+ * Embedded SQLite adapter (VM mode with many records).
+ * One row per run, indexed on (ip, ts) so the gate read is a single indexed range scan.
+ * `ts` is stored as epoch milliseconds; the original record is kept as JSON in `data`.
+ * JSON objects (aggregates etc.) are rows of the `objects` table.
+ */
+function createSqliteAdapter({ filename }) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error('STORAGE_TYPE=sqlite requires the optional "better-sqlite3" package to be installed');
+    }
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    const db = new Database(filename);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    const insertStmt = db.prepare('INSERT INTO records (ip, ts, run_id, data) VALUES (?, ?, ?, ?)');
+    const byIpStmt = db.prepare('SELECT data FROM records WHERE ip = ? AND ts BETWEEN ? AND ? ORDER BY ts');
+    const byRangeStmt = db.prepare('SELECT data FROM records WHERE ts BETWEEN ? AND ? ORDER BY ts');
+    const uniqueStmt = db.prepare('SELECT COUNT(DISTINCT ip) AS count FROM records WHERE ts BETWEEN ? AND ?');
+    const deleteStmt = db.prepare('DELETE FROM records WHERE ts < ?');
+    const countOlderStmt = db.prepare('SELECT COUNT(*) AS count FROM records WHERE ts < ?');
+    const deleteByIpStmt = db.prepare('DELETE FROM records WHERE ip = ? AND ts BETWEEN ? AND ?');
+    const deleteRunStmt = db.prepare('DELETE FROM records WHERE ip = ? AND ts BETWEEN ? AND ? AND run_id = ?');
+    const getObjectStmt = db.prepare('SELECT data FROM objects WHERE key = ?');
+    const putObjectStmt = db.prepare(
+        'INSERT INTO objects (key, data, updated_at) VALUES (?, ?, ?) ' +
+        'ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at');
+    const listObjectsStmt = db.prepare("SELECT key FROM objects WHERE key LIKE ? ESCAPE '\\' ORDER BY key");
+    const deleteObjectStmt = db.prepare('DELETE FROM objects WHERE key = ?');
+
+    // better-sqlite3 is synchronous, but the reserve callback awaits between its read and write,
+    // so callers are still serialized per key.
+    const withLock = createKeyedMutex();
+
+    async function append(record) {
+        const ts = Date.parse(record.ts);
+        insertStmt.run(String(getPartitionKey(record)), Number.isNaN(ts) ? Date.now() : ts,
+            record.run_id != null ? String(record.run_id) : null, JSON.stringify(record));
+    }
+
+    async function query({ ip, from, to }) {
+        const rows = ip
+            ? byIpStmt.all(String(ip), from.getTime(), to.getTime())
+            : byRangeStmt.all(from.getTime(), to.getTime());
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async function countUniqueIps({ from, to }) {
+        return uniqueStmt.get(from.getTime(), to.getTime()).count;
+    }
+
+    // ts is indexed, so only the expired rows are touched; one statement deletes them all.
+    async function deleteOlderThan(cutoff, { dryRun = false } = {}) {
+        const { count } = countOlderStmt.get(cutoff.getTime());
+        if (dryRun) return { scanned: count, deleted: count, failed: 0 };
+        const { changes } = deleteStmt.run(cutoff.getTime());
+        return { scanned: count, deleted: changes, failed: 0 };
+    }
+
+    async function deleteRecords({ ip, from, to, runId }) {
+        const { changes } = runId !== undefined
+            ? deleteRunStmt.run(String(ip), from.getTime(), to.getTime(), String(runId))
+            : deleteByIpStmt.run(String(ip), from.getTime(), to.getTime());
+        return { deleted: changes };
+    }
+
+    async function getObject(key) {
+        const row = getObjectStmt.get(key);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async function putObject(key, value) {
+        putObjectStmt.run(key, JSON.stringify(value), Date.now());
+    }
+
+    async function listObjects(prefix) {
+        const escaped = prefix.replace(/[\\%_]/g, '\\$&');
+        return listObjectsStmt.all(`${escaped}%`).map(row => row.key);
+    }
+
+    async function deleteObject(key) {
+        deleteObjectStmt.run(key);
+    }
+
+    function close() {
+        db.close();
+    }
+
+    return {
+        name: 'sqlite',
+        append,
+        query,
+        countUniqueIps,
+        deleteOlderThan,
+        deleteRecords,
+        withLock,
+        getObject,
+        putObject,
+        listObjects,
+        deleteObject,
+        close,
+    };
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,189 @@
+const express = require('express');
+const storage = require('./storage');
+const overrides = require('./overrides');
+const delivery = require('./delivery');
+const runtime = require('./runtime');
+const { DAY_MS, getDateString, parseDayRange } = require('./adapters/common');
+
+const router = express.Router();
+
+const DEFAULT_LOOKBACK_DAYS = 7;
+
+/**
+ * Resolves ?from=&to= (YYYY-MM-DD, inclusive) for admin record lookups.
+ * Defaults to the last DEFAULT_LOOKBACK_DAYS days including today.
+ */
+function parseLookupRange(query) {
+    const fromStr = query.from || getDateString(new Date(Date.now() - (DEFAULT_LOOKBACK_DAYS - 1) * DAY_MS));
+    return parseDayRange(fromStr, query.to || getDateString());
+}
+
+const invalidRange = (res) => res.status(400).json({ error: 'Invalid from/to, expected YYYY-MM-DD' });
+
+/**
+ * GET /admin/ips/:ip/records?from=&to=
+ * Lists an IP's records across days, oldest first.
+ */
+router.get('/ips/:ip/records', async (req, res) => {
+    const range = parseLookupRange(req.query);
+    if (!range) return invalidRange(res);
+
+    try {
+        const records = await storage.getRecordsForIpInRange(req.params.ip, range.from, range.to, { consistent: true });
+        records.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+        res.json({ ip: req.params.ip, count: records.length, records });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'lookup failed' });
+    }
+});
+
+/**
+ * DELETE /admin/ips/:ip/records/:runId?from=&to=
+ * Deletes one run's record(s) for an IP.
+ */
+router.delete('/ips/:ip/records/:runId', async (req, res) => {
+    const range = parseLookupRange(req.query);
+    if (!range) return invalidRange(res);
+
+    try {
+        const { deleted } = await storage.deleteRecordsForIp(req.params.ip, range.from, range.to, req.params.runId);
+        if (deleted === 0) return res.status(404).json({ error: 'No matching record' });
+        res.json({ ip: req.params.ip, run_id: req.params.runId, deleted });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'delete failed' });
+    }
+});
+
+/**
+ * POST /admin/ips/:ip/reset?date=YYYY-MM-DD
+ * Resets an IP's counters for a day (default today) by removing that day's records.
+ */
+router.post('/ips/:ip/reset', async (req, res) => {
+    const date = req.query.date || getDateString();
+    const range = parseDayRange(date);
+    if (!range) return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD' });
+
+    try {
+        const { from, to } = range;
+        const { deleted } = await storage.deleteRecordsForIp(req.params.ip, from, to);
+        res.json({ ip: req.params.ip, date, deleted });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'reset failed' });
+    }
+});
+
+/**
+ * GET /admin/overrides
+ * Lists active overrides.
+ */
+router.get('/overrides', async (req, res) => {
+    try {
+        res.json({ overrides: await overrides.listActiveOverrides() });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'lookup failed' });
+    }
+});
+
+/**
+ * GET /admin/ips/:ip/override
+ */
+router.get('/ips/:ip/override', async (req, res) => {
+    try {
+        const override = await overrides.getActiveOverride(req.params.ip);
+        if (!override) return res.status(404).json({ error: 'No active override' });
+        res.json(override);
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'lookup failed' });
+    }
+});
+
+/**
+ * PUT /admin/ips/:ip/override
+ * Body: { should_run: boolean, ttl_minutes | expires_at, note? }
+ * Forces /gate to answer should_run for this IP until the override expires.
+ */
+router.put('/ips/:ip/override', async (req, res) => {
+    const override = overrides.parseOverride(req.body);
+    if (override.error) return res.status(400).json({ error: override.error });
+
+    try {
+        const saved = await overrides.setOverride(req.params.ip, override);
+        res.json(saved);
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'override failed' });
+    }
+});
+
+/**
+ * DELETE /admin/ips/:ip/override
+ */
+router.delete('/ips/:ip/override', async (req, res) => {
+    try {
+        await overrides.clearOverride(req.params.ip);
+        res.json({ ip: req.params.ip, status: 'cleared' });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'clear failed' });
+    }
+});
+
+/**
+ * GET /admin/deliveries?status=pending|dead
+ * Lists queued (retrying) or dead-lettered outbound deliveries. Default: dead.
+ * Header values and URL paths are redacted: they carry the sink token and webhook secrets.
+ */
+router.get('/deliveries', async (req, res) => {
+    const status = req.query.status || 'dead';
+    if (!delivery.STATUSES[status]) {
+        return res.status(400).json({ error: 'Invalid status, expected pending or dead' });
+    }
+
+    try {
+        const deliveries = (await delivery.listDeliveries(status)).map(job => ({
+            ...job,
+            url: runtime.redactUrl(job.url),
+            headers: runtime.redactHeaders(job.headers),
+        }));
+        res.json({ status, count: deliveries.length, deliveries });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'lookup failed' });
+    }
+});
+
+/**
+ * POST /admin/deliveries/:id/redrive
+ * Moves a dead delivery back to the queue with a fresh attempt budget and retries it now.
+ */
+router.post('/deliveries/:id/redrive', async (req, res) => {
+    try {
+        const job = await delivery.redrive(req.params.id);
+        if (!job) return res.status(404).json({ error: 'No dead delivery with this id' });
+        const result = await delivery.processDue();
+        res.json({ id: job.id, target: job.target, ...result });
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'redrive failed' });
+    }
+});
+
+/**
+ * POST /admin/deliveries/process
+ * Retries every due pending delivery now (for Cloud Scheduler when the in-process worker is off).
+ */
+router.post('/deliveries/process', async (req, res) => {
+    try {
+        res.json(await delivery.processDue());
+    } catch (err) {
+        console.error('Admin Error:', err);
+        res.status(500).json({ error: 'processing failed' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+const { getDateString, getRecordDateString } = require('./adapters/common');
+
+const TOP_REUSED_IPS = 10;
+
+/**
+ * Daily aggregates, maintained incrementally so /summary never lists raw records.
+ *
+ * Each day is split into AGGREGATE_SHARDS documents (aggregates/<date>/shard-<n>.json) chosen
+ * by a hash of the IP. Sharding keeps concurrent ingests from queueing on a single lock, and
+ * because an IP always lands in the same shard, per-shard IP sets are disjoint and
+ * unique IPs can be summed. Each shard also remembers the "<ip>|<run_id>" pairs it has
+ * counted, so a re-ingested run or a repeated /gate for the same run is counted once.
+ */
+const shardFor = (ip) =>
+    crypto.createHash('md5').update(String(ip)).digest().readUInt32BE(0) % config.AGGREGATE_SHARDS;
+
+const shardKey = (dateStr, shard) => `aggregates/${dateStr}/shard-${shard}.json`;
+
+const emptyShard = (dateStr) => ({
+    date: dateStr,
+    runs: 0,
+    ips: {},
+    accounts: {},
+    repos: {},
+    workflows: {},
+    decisions: { allowed: 0, blocked: 0, by_reason: {}, blocked_by_reason: {} },
+    counted_runs: {},
+    decided_runs: {},
+});
+
+const increment = (map, key, by = 1) => {
+    const name = key === undefined || key === null || key === '' ? 'unknown' : String(key);
+    map[name] = (map[name] || 0) + by;
+};
+
+// Read-modify-write of one shard under its lock. `mutate` returns false to leave it unchanged.
+async function updateShard(dateStr, ip, mutate) {
+    const shard = shardFor(ip);
+    const key = shardKey(dateStr, shard);
+
+    await storage.withLock(`aggregates-${dateStr}-${shard}`, async () => {
+        const doc = (await storage.getObject(key)) || emptyShard(dateStr);
+        if (mutate(doc) === false) return;
+        await storage.putObject(key, doc);
+    });
+}
+
+// Marks ip|run_id as counted in `set` (a shard field); false if it already was.
+// Calls without a run_id can't be told apart and are always counted.
+function markFirst(doc, set, ip, runId) {
+    if (runId === undefined || runId === null || runId === '') return true;
+    doc[set] = doc[set] || {};
+    const id = `${ip}|${runId}`;
+    if (doc[set][id]) return false;
+    doc[set][id] = 1;
+    return true;
+}
+
+/**
+ * Counts an ingested run in its day's aggregate. Never throws: aggregates are best-effort
+ * and must not fail ingestion.
+ */
+async function recordRun(record) {
+    try {
+        await updateShard(getRecordDateString(record), record.ip, (doc) => {
+            if (!markFirst(doc, 'counted_runs', record.ip, record.run_id)) return false;
+            doc.runs++;
+            increment(doc.ips, record.ip);
+            increment(doc.accounts, record.account_label || record.account);
+            increment(doc.repos, record.repo);
+            increment(doc.workflows, record.workflow);
+        });
+    } catch (err) {
+        console.error('Aggregate Update Error:', err.message);
+    }
+}
+
+/**
+ * Counts a gate decision (allowed/blocked and reason) in today's aggregate, once per run:
+ * a repeated /gate for the same `runId` keeps the first decision.
+ */
+async function recordDecision(ip, result, runId) {
+    try {
+        await updateShard(getDateString(), ip, (doc) => {
+            if (!markFirst(doc, 'decided_runs', ip, runId)) return false;
+            increment(doc.decisions, result.should_run ? 'allowed' : 'blocked');
+            if (result.reason) increment(doc.decisions.by_reason, result.reason);
+            if (!result.should_run) {
+                doc.decisions.blocked_by_reason = doc.decisions.blocked_by_reason || {};
+                increment(doc.decisions.blocked_by_reason, result.reason);
+            }
+        });
+    } catch (err) {
+        console.error('Aggregate Update Error:', err.message);
+    }
+}
+
+const mergeCounts = (target, source) => {
+    for (const [key, value] of Object.entries(source || {})) increment(target, key, value);
+    return target;
+};
+
+// Replaces the run counters of merged shards with BigQuery's per-run rows (READ_MODE=bigquery).
+function applyRunRows(merged, rows) {
+    Object.assign(merged, { runs: 0, ips: {}, accounts: {}, repos: {}, workflows: {} });
+    for (const row of rows) {
+        merged.runs += row.runs;
+        increment(merged.ips, row.ip, row.runs);
+        increment(merged.accounts, row.account, row.runs);
+        increment(merged.repos, row.repo, row.runs);
+        increment(merged.workflows, row.workflow, row.runs);
+    }
+    return Object.keys(merged.ips).length;
+}
+
+/**
+ * Merges a day's shards into the /summary response. With READ_MODE=bigquery the run counts come
+ * from BigQuery (falling back to the shards); gate decisions are only counted here.
+ */
+async function getSummary(dateStr) {
+    const keys = await storage.listObjects(`aggregates/${dateStr}/`);
+    const merged = emptyShard(dateStr);
+    let uniqueIps = 0;
+
+    for (const key of keys) {
+        const doc = await storage.getObject(key);
+        if (!doc) continue;
+        merged.runs += doc.runs || 0;
+        uniqueIps += Object.keys(doc.ips || {}).length;
+        mergeCounts(merged.ips, doc.ips);
+        mergeCounts(merged.accounts, doc.accounts);
+        mergeCounts(merged.repos, doc.repos);
+        mergeCounts(merged.workflows, doc.workflows);
+        merged.decisions.allowed += (doc.decisions && doc.decisions.allowed) || 0;
+        merged.decisions.blocked += (doc.decisions && doc.decisions.blocked) || 0;
+        mergeCounts(merged.decisions.by_reason, doc.decisions && doc.decisions.by_reason);
+        mergeCounts(merged.decisions.blocked_by_reason, doc.decisions && doc.decisions.blocked_by_reason);
+    }
+
+    const runRows = await storage.getRunCountsFromBigQuery(dateStr);
+    if (runRows) uniqueIps = applyRunRows(merged, runRows);
+
+    const topReusedIps = Object.entries(merged.ips)
+        .filter(([, runs]) => runs > 1)
+        .sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]))
+        .slice(0, TOP_REUSED_IPS)
+        .map(([ip, runs]) => ({ ip, runs }));
+
+    return {
+        date: dateStr,
+        total_runs: merged.runs,
+        unique_ips: uniqueIps,
+        runs_by_account: merged.accounts,
+        runs_by_repo: merged.repos,
+        runs_by_workflow: merged.workflows,
+        decisions: merged.decisions,
+        top_reused_ips: topReusedIps,
+    };
+}
+
+module.exports = {
+    recordRun,
+    recordDecision,
+    getSummary,
+};
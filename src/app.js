@@ -1,95 +1,284 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const crypto = require('crypto');
-const axios = require('axios'); // For external sink
 const config = require('./config');
 const storage = require('./storage');
-const { differenceInHours, differenceInMinutes, parseISO } = require('date-fns');
+const gate = require('./gate');
+const aggregates = require('./aggregates');
+const exporter = require('./export');
+const tokens = require('./tokens');
+const signing = require('./signing');
+const { rateLimit } = require('./ratelimit');
+const metrics = require('./metrics');
+const audit = require('./audit');
+const notifiers = require('./notifiers');
+const delivery = require('./delivery');
+const digest = require('./digest');
+const geoip = require('./geoip');
+const validation = require('./validation');
+const bulk = require('./bulk');
+const simulation = require('./simulate');
+const runtime = require('./runtime');
+const health = require('./health');
+const retention = require('./retention');
+const adminRouter = require('./admin');
+const { parseISO } = require('date-fns');
+const { parseDayRange } = require('./adapters/common');
 
 const app = express();
 
-// Middleware: Raw body for HMAC signature verification
-app.use(bodyParser.json({
-  verify: (req, res, buf) => {
-    req.rawBody = buf;
+// Middleware: Request counts and latencies for /metrics
+app.use(metrics.httpMiddleware);
+
+/**
+ * GET /metrics
+ * Prometheus text format. Registered before authentication so scrapers don't need to sign
+ * requests; it still needs METRICS_TOKEN or an API token with the `read` scope.
+ */
+app.get('/metrics', async (req, res) => {
+  const authHeader = req.headers.authorization || '';
+  const secret = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  if (!secret) {
+    return res.status(401).json({ error: 'Missing or invalid Authorization header' });
   }
-}));
+
+  const token = tokens.findToken(secret);
+  const allowed = (config.METRICS_TOKEN && signing.safeEqual(secret, config.METRICS_TOKEN)) ||
+      (token && !tokens.isExpired(token) && token.scopes.includes('read'));
+  if (!allowed) {
+    return res.status(403).json({ error: 'Invalid Token' });
+  }
+
+  res.set('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
+
+/**
+ * GET /healthz (liveness) and GET /readyz (readiness with storage/BigQuery probes).
+ * Registered before authentication so Docker, systemd and Cloud Run probes need no token.
+ */
+app.get('/healthz', (req, res) => {
+  res.json(health.liveness());
+});
+
+app.get('/readyz', async (req, res) => {
+  const { httpStatus, body } = await health.readiness();
+  res.status(httpStatus).json(body);
+});
+
+/**
+ * GET /v2/schemas/:name.json
+ * The published JSON Schemas of the v2 API (public, like the docs).
+ */
+app.get('/v2/schemas/:file', (req, res) => {
+  const schema = validation.SCHEMAS[req.params.file.replace(/\.json$/, '')];
+  if (!schema) return res.status(404).json({ error: 'Unknown schema' });
+  res.type('application/schema+json').send(JSON.stringify(schema, null, 2));
+});
 
 // Middleware: Auth & Security
-const verifyAuth = (req, res, next) => {
-  // 1. Bearer Token Verification
+// 1. Bearer Token Verification. Headers only, so no body is read for an unauthenticated caller.
+const authenticate = (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing or invalid Authorization header' });
   }
-  const token = authHeader.split(' ')[1];
-  if (token !== config.COLLECTOR_TOKEN) {
+  const token = tokens.findToken(authHeader.split(' ')[1]);
+  if (!token) {
     return res.status(403).json({ error: 'Invalid Token' });
   }
+  if (tokens.isExpired(token)) {
+    return res.status(403).json({ error: 'Token expired' });
+  }
+  req.token = token;
+  next();
+};
 
-  // 2. Optional HMAC Verification
-  if (config.HMAC_SECRET && req.headers['x-signature']) {
-    const signature = req.headers['x-signature'];
-    const hmac = crypto.createHmac('sha256', config.HMAC_SECRET);
-    hmac.update(req.rawBody);
-    const expectedSignature = hmac.digest('base64');
-
-    if (signature !== expectedSignature) {
-      return res.status(401).json({ error: 'Invalid HMAC Signature' });
-    }
+// 2. HMAC Verification (method, path, timestamp, nonce and body; see src/signing.js)
+const verifySignature = async (req, res, next) => {
+  let signatureError;
+  try {
+    signatureError = await signing.verifyRequest(req);
+  } catch (err) {
+    // Without the nonce store a replay can't be ruled out, so refuse rather than let it through
+    console.error('Nonce Store Error:', err.message);
+    return res.status(503).json({ error: 'Signature verification unavailable' });
+  }
+  if (signatureError) {
+    return res.status(401).json({ error: signatureError });
   }
+  next();
+};
+
+app.use(authenticate);
 
+/**
+ * Middleware: the authenticated token must hold `scope`. Account-bound tokens must also
+ * name their accounts (body `account`/`account_label`, or `?account=` on reads): every one
+ * supplied must be allowed and `?account=` must match the body, unless the route checks
+ * accounts itself (`perRecord`, e.g. bulk ingest).
+ * Reads that filter by account pass `accountFilter(req)`, the value they filter on, which is
+ * then the only one checked; routes that always span every account (`allAccounts`) refuse
+ * account-bound tokens.
+ */
+const requireScope = (scope, { perRecord = false, accountFilter, allAccounts = false } = {}) => (req, res, next) => {
+  if (!req.token.scopes.includes(scope)) {
+    return res.status(403).json({ error: `Token "${req.token.name}" lacks scope "${scope}"` });
+  }
+  if (allAccounts && req.token.accounts) {
+    return res.status(403).json({ error: `Token "${req.token.name}" is bound to accounts and cannot act on all accounts` });
+  }
+  const body = req.body || {};
+  const candidates = accountFilter ? [accountFilter(req)] : [body.account, body.account_label, req.query.account];
+  const bodyAccounts = [body.account, body.account_label].filter(a => a !== undefined && a !== null && a !== '');
+  const queryMismatch = !accountFilter && req.query.account !== undefined && bodyAccounts.length > 0 &&
+      !bodyAccounts.map(String).includes(String(req.query.account));
+  if (!perRecord && req.token.accounts && (queryMismatch || !tokens.allowsAccount(req.token, ...candidates))) {
+    return res.status(403).json({ error: `Token "${req.token.name}" is not allowed for this account` });
+  }
   next();
 };
 
-app.use(verifyAuth);
+// Account filters of the read routes
+const bodyAccount = (req) => (req.body || {}).account;
+const queryAccount = (req) => req.query.account;
+
+// Middleware: Bulk batches are NDJSON or large JSON arrays, read as text with their own size
+// cap, and only once the token is known to hold the ingest scope
+app.post('/v2/ingest/bulk', requireScope('ingest', { perRecord: true }), bulk.readBatch);
+
+// Middleware: Raw body for HMAC signature verification
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+app.use(verifySignature);
 
 /**
  * POST /ingest
  * Receives IP data, stores in GCS/BQ, forwards to external sink.
  */
-app.post('/ingest', async (req, res) => {
-  try {
-    const record = req.body;
-
+app.post('/ingest', requireScope('ingest'), rateLimit, (req, res) => {
     // Basic validation
-    if (!record.ip || !record.run_id) {
+    if (!req.body || !req.body.ip || !req.body.run_id) {
         return res.status(400).json({ error: 'Missing required fields: ip, run_id' });
     }
+    handleIngest(req, res);
+});
+
+/**
+ * POST /v2/ingest
+ * Same as /ingest, but the body must match the published run schema (src/schemas/run.v2.json).
+ */
+app.post('/v2/ingest', requireScope('ingest'), rateLimit, validation.requireValid('run'), (req, res) => handleIngest(req, res));
+
+/**
+ * POST /v2/ingest/bulk
+ * NDJSON or a JSON array of runs (at most BULK_MAX_RECORDS), each validated like /v2/ingest and
+ * deduplicated by run_id. Answers with one result per line; see src/bulk.js.
+ * The ingest scope is checked before the body is read (see the bulk middleware above).
+ */
+app.post('/v2/ingest/bulk', rateLimit, async (req, res) => {
+  const batch = bulk.parseBatch(req.body);
+  if (batch.error) return res.status(400).json({ error: batch.error });
+  if (batch.lines.length > config.BULK_MAX_RECORDS) {
+    return res.status(413).json({ error: `Batch has ${batch.lines.length} records, max ${config.BULK_MAX_RECORDS}` });
+  }
+
+  try {
+    res.json(await bulk.ingestBatch(batch.lines, { token: req.token, storeRecord }));
+  } catch (err) {
+    console.error('Bulk Ingest Error:', err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * Helper: Stores a validated run and forwards it.
+ */
+async function handleIngest(req, res) {
+  try {
+    await storeRecord(req.body);
+    res.status(200).json({ status: 'ok' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+}
+
+/**
+ * Helper: The ingest write path (also used per record by bulk ingest).
+ */
+async function storeRecord(body) {
+    // Runs sent without a start time are stamped with the server's clock, so every stored record has a ts
+    // ASN / country from the local GeoIP databases (unchanged if none are configured)
+    const record = geoip.enrichRecord(body.ts ? body : { ...body, ts: new Date().toISOString() });
 
     // 1. Store in GCS
     // We don't await this to keep response fast?
     // Actually, for safety, let's await. Cloud Run scales well.
     await storage.appendToGCS(record);
+    await aggregates.recordRun(record);
+
+    // 2. BigQuery + External Sink (Optional, background)
+    forwardRecord(record);
+}
 
-    // 2. Store in BigQuery (Optional)
-    // We execute this concurrently without waiting (fire-and-forget style) or await if critical.
-    // The prompt implies we should just do it.
+/**
+ * Helper: Secondary destinations for a stored record (fire-and-forget).
+ */
+function forwardRecord(record) {
+    // Store in BigQuery (Optional)
+    // We execute this concurrently without waiting (fire-and-forget style).
     storage.insertIntoBigQuery(record).catch(err => console.error('BQ Background Error', err));
 
-    // 3. External Sink (Optional)
+    // External Sink (Optional), retried through the delivery queue on failure
     if (config.EXTERNAL_SINK_URL) {
-       axios.post(config.EXTERNAL_SINK_URL, record, {
-           headers: {
-               'Authorization': `Bearer ${config.EXTERNAL_SINK_TOKEN || ''}`,
-               'Content-Type': 'application/json'
-           }
-       }).catch(err => console.error('External Sink Error:', err.message));
+        delivery.deliver({
+            target: 'sink',
+            url: config.EXTERNAL_SINK_URL,
+            headers: { 'Authorization': `Bearer ${config.EXTERNAL_SINK_TOKEN || ''}` },
+            payload: record,
+        });
     }
+}
 
-    res.status(200).json({ status: 'ok' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal Server Error' });
-  }
-});
+/**
+ * Helper: Decides `body.run_id` (see gate.decideRun). With `recordRun`, the run is stored
+ * first, stamped with the server clock, and the whole read-decide-write sequence runs under
+ * the per-IP lock, so concurrent runners on one IP are decided strictly one by one.
+ */
+async function decideRun(body, result, { recordRun = false } = {}) {
+    const { ts } = body;
+
+    // Reserve stamps runs with the server clock so replay order equals lock order: a late
+    // arrival can never retroactively invalidate a run that was already admitted.
+    const requestTime = (ts && !recordRun) ? parseISO(ts) : new Date();
+
+    // Reserve: store this run unless a retry already did
+    const store = async () => {
+        const record = geoip.enrichRecord({ ...body, ts: requestTime.toISOString() });
+        if (ts) record.client_ts = ts;
+        await storage.appendToGCS(record);
+        await aggregates.recordRun(record);
+        forwardRecord(record);
+        return record;
+    };
+
+    return gate.decideRun(body, result, { requestTime, store: recordRun ? store : undefined });
+}
 
 /**
- * POST /gate
- * Decides if a run should proceed based on IP usage policies.
+ * Helper: Shared handler for /gate and /reserve.
  */
-app.post('/gate', async (req, res) => {
-  const { ip, ts, account, account_label, workflow } = req.body;
+async function handleGate(req, res, { recordRun }) {
+  const { ip } = req.body;
+  const mode = recordRun ? 'reserve' : 'gate';
+
+  if (recordRun && (!ip || !req.body.run_id)) {
+      return res.status(400).json({ error: 'Missing required fields: ip, run_id' });
+  }
 
   // Default response (Fail Open)
   const result = {
@@ -97,170 +286,123 @@ app.post('/gate', async (req, res) => {
       duplicates: 0,
       reason: '',
       uses_today: 0,
-      last_use_utc: null
+      last_use_utc: null,
+      policy: null
   };
 
   try {
       if (!ip) throw new Error('No IP provided');
 
-      // 1. Get all records for this IP today
-      const records = await storage.getRecordsForIpToday(ip);
-
-      // Sort by timestamp descending (newest first).
-      // If timestamps are identical, sort by run_id to ensure deterministic order (Tie-breaker).
-      // This ensures that in a concurrent batch, one is always "first".
-      records.sort((a, b) => {
-          const timeDiff = new Date(b.ts) - new Date(a.ts);
-          if (timeDiff !== 0) return timeDiff;
-          return a.run_id.localeCompare(b.run_id);
-      });
-
-      result.uses_today = records.length;
-      result.last_use_utc = records.length > 0 ? records[0].ts : null;
-
-      const currentRequestTime = ts ? parseISO(ts) : new Date();
-
-      // --- ROBUST FILTERING LOGIC ---
-      // We must determine the list of "Valid Runs" based on the gap policy *chronologically*.
-      // 1. Sort records Oldest -> Newest (ascending) to simulate history replay.
-      // 2. Walk through and accept a run ONLY if it is >= 7h after the last accepted run.
-      // 3. This filters out duplicates and gap violators naturally.
-
-      // Copy and sort ascending
-      const chronRecords = [...records].sort((a, b) => {
-          const timeDiff = new Date(a.ts) - new Date(b.ts);
-          if (timeDiff !== 0) return timeDiff;
-          return a.run_id.localeCompare(b.run_id); // Stable tie-break
-      });
-
-      const validRuns = [];
-      let lastValidTs = null;
-
-      for (const rec of chronRecords) {
-          if (!lastValidTs) {
-              validRuns.push(rec);
-              lastValidTs = parseISO(rec.ts);
-          } else {
-              const thisTs = parseISO(rec.ts);
-              const gap = differenceInHours(thisTs, lastValidTs);
-              // Note: differenceInHours rounds down. We might want exact diff?
-              // Assuming standard integer hours policy.
-              // If gap >= 7, accept.
-              if (gap >= config.MIN_GAP_HOURS_PER_IP) {
-                   validRuns.push(rec);
-                   lastValidTs = thisTs;
-              }
-              // Else: It's skipped (Duplicate or too soon)
-          }
-      }
-
-      // Now we have the list of runs that "should" have passed.
-      // Check if *this* request (run_id) is in that list.
-      const myRunId = req.body.run_id;
-      const isValid = validRuns.some(r => r.run_id === myRunId);
-
-
-      // 1. Check if I was filtered out by Gap Logic
-      if (!isValid) {
-          result.should_run = false;
-          result.reason = 'gap_not_satisfied';
-          // (It could be a concurrent duplicate or a <7h retry)
-          return res.json(result);
-      }
-
-      // 2. Check if I exceed Max Runs (based on my position in the VALID list)
-      // I am valid, but am I the 4th valid run?
-      // Find my index in validRuns
-      const myValidIndex = validRuns.findIndex(r => r.run_id === myRunId);
-
-      if (myValidIndex >= config.MAX_RUNS_PER_IP_PER_DAY) {
-          result.should_run = false;
-          result.reason = 'max_runs_reached';
-          return res.json(result);
-      }
-
-      // If I passed both checks
-      result.should_run = true;
-      // Special case: If records.length is 1, it's the first run today (or the one we just added).
-      // No gap check needed against "nothing".
-
-      // Additional Check: "Concurrent Duplicates" from the FIRST prompt (optional but good to have?)
-      // The second prompt emphasizes 3x/7h. We stick to that.
-
-      // 1. Send answer to GitHub IMMEDIATELY (Zero Latency)
+      await decideRun(req.body, result, { recordRun });
+
+      // 4. Send answer to GitHub IMMEDIATELY (Zero Latency)
       res.json(result);
+      metrics.recordDecision(result);
 
-      // 2. Fire-and-Forget Notification to Discord (Background)
-      if (config.DISCORD_WEBHOOK_URL) {
-          // We calculate stats async so we don't block response
-          storage.getUniqueIpCountToday()
-              .then(uniqueCount => sendDiscordNotification(result, ip, uniqueCount, account, workflow, account_label))
-              .catch(e => console.error('Discord/Stats Error:', e));
-      }
+      // Daily allowed/blocked counters for /summary (once per run) and the audit log (Background)
+      aggregates.recordDecision(ip, result, req.body.run_id);
+      audit.recordDecision(audit.buildEntry(req.body, result, { mode, token: req.token.name }));
+
+      // 5. Fire-and-Forget Notifications (Background)
+      notifyDecision(result.should_run ? 'allowed' : 'blocked', result, req.body);
 
   } catch (err) {
       console.error('Gate Error:', err);
-      // Fail Open
-      res.json({ ...result, should_run: true, reason: 'error_fail_open' });
+      // /gate fails open; /reserve fails closed, since the run could not be recorded
+      // (lock timeout, storage error) and admitting it would bypass the concurrency guard.
+      const failed = recordRun
+          ? { ...result, should_run: false, reason: 'error_fail_closed' }
+          : { ...result, should_run: true, reason: 'error_fail_open' };
+      res.status(recordRun ? 503 : 200).json(failed);
+      metrics.recordDecision(failed);
+      // Counted without the run_id, so the retry's real decision is still counted
+      if (ip) aggregates.recordDecision(ip, failed);
+      audit.recordDecision(audit.buildEntry(req.body, failed, { mode, token: req.token.name, error: err.message }));
+      notifyDecision(recordRun ? 'fail_closed' : 'fail_open', failed, req.body);
   }
-});
+}
 
 /**
- * Helper: Send Discord Notification (Async)
+ * POST /gate
+ * Decides if a run should proceed based on IP usage policies.
+ * Expects the run to have been sent to /ingest first; `?record=true` behaves like /reserve.
  */
-function sendDiscordNotification(result, ip, uniqueIpCount, account, workflow, account_label) {
-    const isAllowed = result.should_run;
-    const color = isAllowed ? 5763719 : 15548997; // Green (5763719) or Red (15548997)
-    const title = isAllowed ? "🚀 Job Allowed" : "🛑 Job Blocked";
-
-    // Format Account Display
-    // If account_label exists, use it. But user wants to see the ID too?
-    // User request: "just mention the number is enough in the Account 1 ... and the email just show is enough like previously"
-    // Interpretation: "Account" field should have Account Name. A separate "Email" field?
-    // Or combined: "Account 1 (email@...)"
-    // Let's go with combined for clarity as planned.
-
-    let accountDisplay = account || "Unknown";
-    if (account_label) {
-        accountDisplay = `${account_label} (${account})`;
-    }
+app.post('/gate',
+  requireScope('gate'),
+  // Recording the run needs the ingest scope as well, like /reserve
+  (req, res, next) => (req.query.record === 'true' ? requireScope('ingest')(req, res, next) : next()),
+  rateLimit,
+  (req, res) => handleGate(req, res, { recordRun: req.query.record === 'true' }));
+
+/**
+ * POST /reserve
+ * Records the run and decides it atomically (per-IP lock), replacing /ingest + /gate.
+ */
+app.post('/reserve', requireScope('ingest'), requireScope('gate'), rateLimit, (req, res) => handleGate(req, res, { recordRun: true }));
+
+/**
+ * POST /v2/gate (`?record=true` too) and POST /v2/reserve
+ * Same as v1, but the body must match the published run schema. Invalid bodies get a 400
+ * listing every violation instead of a fail-open answer.
+ */
+app.post('/v2/gate',
+  requireScope('gate'),
+  (req, res, next) => (req.query.record === 'true' ? requireScope('ingest')(req, res, next) : next()),
+  rateLimit,
+  validation.requireValid('run'),
+  (req, res) => handleGate(req, res, { recordRun: req.query.record === 'true' }));
 
-    const fields = [
-        { name: "Workflow", value: workflow || "Unknown", inline: true },
-        { name: "Account", value: accountDisplay, inline: true },
-        { name: "IP Address", value: ip, inline: true },
-        { name: "Runs for this IP", value: `${result.uses_today}`, inline: true },
-        { name: "Reason", value: result.reason || "Policy Check Passed", inline: true }
-    ];
+app.post('/v2/reserve', requireScope('ingest'), requireScope('gate'), rateLimit, validation.requireValid('run'),
+  (req, res) => handleGate(req, res, { recordRun: true }));
 
-    if (uniqueIpCount !== null) {
-        fields.push({ name: "Total Unique IPs Today", value: `${uniqueIpCount}`, inline: true });
+/**
+ * Helper: Fire-and-forget notification of a gate decision (allowed / blocked / fail_open / fail_closed)
+ * to the notifiers subscribed to it.
+ */
+function notifyDecision(event, result, body) {
+    if (!notifiers.wants(event)) return;
+
+    // Format Account Display: "Account 1 (12345)" when a label is known
+    let accountDisplay = body.account || "Unknown";
+    if (body.account_label) {
+        accountDisplay = `${body.account_label} (${body.account})`;
     }
 
-    // Don't await this. Let it run in background.
-    axios.post(config.DISCORD_WEBHOOK_URL, {
-        embeds: [{
-            title: title,
-            color: color,
-            fields: fields,
-            footer: { text: "ActionIP Aggregator" },
-            timestamp: new Date().toISOString()
-        }]
-    }).catch(err => {
-        // Silently fail or log lightweight error so we don't spam logs
-        // console.error('Discord Notification Failed:', err.message);
-    });
+    // e.g. "AS15169 Google LLC (US)" when GeoIP enrichment knows the network
+    const network = [result.asn && `AS${result.asn}`, result.as_org, result.country && `(${result.country})`]
+        .filter(Boolean).join(' ');
+
+    // We calculate stats async so we don't block the response (and still notify without them)
+    storage.getUniqueIpCountToday()
+        .catch(() => null)
+        .then(uniqueCount => notifiers.notify(event, {
+            ip: body.ip,
+            run_id: body.run_id,
+            account: body.account,
+            account_label: body.account_label,
+            account_display: accountDisplay,
+            repo: body.repo,
+            workflow: body.workflow,
+            reason: result.reason,
+            policy: result.policy,
+            uses_today: result.uses_today,
+            network: network || null,
+            unique_ips_today: uniqueCount,
+        }));
 }
 
 /**
- * POST /cleanup
- * Triggered by Cloud Scheduler
+ * POST /cleanup[?dry_run=true]
+ * Triggered by Cloud Scheduler. Applies the retention limits and returns what was
+ * scanned/deleted/failed per section (see src/retention.js).
  */
-app.post('/cleanup', async (req, res) => {
+app.post('/cleanup', requireScope('cleanup', { allAccounts: true }), async (req, res) => {
     try {
-        await storage.cleanupGCS();
+        const dryRun = req.query.dry_run === 'true';
+        const report = await retention.runCleanup({ dryRun });
         // BQ cleanup could go here if using SQL deletion
-        res.status(200).json({ status: 'cleanup initiated' });
+        if (!dryRun) notifiers.notify('cleanup', { deleted: report.records.deleted });
+        res.status(200).json(report);
     } catch (err) {
         console.error(err);
         res.status(500).json({ error: 'cleanup failed' });
@@ -268,16 +410,110 @@ app.post('/cleanup', async (req, res) => {
 });
 
 /**
- * GET /summary
- * Simple stats for today
+ * POST /digest?date=YYYY-MM-DD
+ * Triggered by Cloud Scheduler: builds the daily digest (default: yesterday, UTC), saves it
+ * and sends it to the notifiers. Uses the `cleanup` scope like the other scheduled job.
  */
-app.get('/summary', async (req, res) => {
-    // This would require listing ALL files for today, which might be heavy.
-    // For now, return a placeholder or simple bucket stats if easy.
-    // Given the "read all files" architecture in storage.js, implementing a full summary
-    // over all IPs is expensive (O(N) files).
-    // We will return a simple message or implement if strictly needed.
-    res.json({ message: 'Summary requires listing all daily files. Not fully implemented for performance reasons.' });
+app.post('/digest', requireScope('cleanup', { allAccounts: true }), async (req, res) => {
+    const date = req.query.date;
+    if (date !== undefined && !parseDayRange(date)) {
+        return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD' });
+    }
+
+    try {
+        res.json(await digest.runDigest(date ? { date } : {}));
+    } catch (err) {
+        console.error('Digest Error:', err);
+        res.status(500).json({ error: 'digest failed' });
+    }
+});
+
+/**
+ * GET /summary?date=YYYY-MM-DD
+ * Daily stats (defaults to today, UTC) from the incrementally maintained aggregates.
+ */
+app.get('/summary', requireScope('read', { allAccounts: true }), async (req, res) => {
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+    if (!parseDayRange(date)) {
+        return res.status(400).json({ error: 'Invalid date, expected YYYY-MM-DD' });
+    }
+
+    try {
+        res.json(await aggregates.getSummary(date));
+    } catch (err) {
+        console.error('Summary Error:', err);
+        res.status(500).json({ error: 'summary failed' });
+    }
+});
+
+/**
+ * GET /policy
+ * The effective policy, access lists, notifiers and settings (secrets redacted), plus which
+ * runtime config version is active and whether the last reload failed.
+ */
+app.get('/policy', requireScope('read', { allAccounts: true }), (req, res) => {
+    res.json(runtime.describe());
+});
+
+/**
+ * POST /simulate
+ * Replays stored runs under a candidate policy and compares the outcomes with the current one.
+ * Body: { from, to, policy, account } (see src/simulate.js).
+ */
+app.post('/simulate', requireScope('read', { accountFilter: bodyAccount }), async (req, res) => {
+    const options = simulation.parseSimulation(req.body);
+    if (options.error) return res.status(400).json({ error: options.error });
+
+    try {
+        res.json(await simulation.simulate(options));
+    } catch (err) {
+        console.error('Simulation Error:', err);
+        res.status(500).json({ error: 'simulation failed' });
+    }
+});
+
+/**
+ * /admin/*
+ * Inspect, delete and override IP records (see src/admin.js).
+ */
+app.use('/admin', requireScope('admin', { allAccounts: true }), adminRouter);
+
+/**
+ * GET /audit?date=YYYY-MM-DD (or from=&to=) &ip=&run_id=&account=&limit=
+ * Stored gate decisions, oldest first: "why was run 123 blocked?"
+ */
+app.get('/audit', requireScope('read', { accountFilter: queryAccount }), async (req, res) => {
+  const options = audit.parseAuditQuery(req.query);
+  if (options.error) return res.status(400).json({ error: options.error });
+
+  try {
+    const { entries, truncated } = await audit.queryDecisions(options);
+    res.json({ count: entries.length, truncated, entries });
+  } catch (err) {
+    console.error('Audit Error:', err);
+    res.status(500).json({ error: 'Audit lookup failed' });
+  }
+});
+
+/**
+ * GET /export
+ * Streams stored records as CSV or NDJSON.
+ * Query: from, to (YYYY-MM-DD or ISO), ip, account, repo, workflow, format, columns
+ */
+app.get('/export', requireScope('read', { accountFilter: queryAccount }), async (req, res) => {
+    const options = exporter.parseExportQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    try {
+        await exporter.writeExport(res, options);
+    } catch (err) {
+        console.error('Export Error:', err);
+        // Headers are already out once streaming started; all we can do is cut the stream.
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: 'export failed' });
+    }
 });
 
 module.exports = app;
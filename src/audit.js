@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+const ipnet = require('./ipnet');
+const { DAY_MS, toSafeIp, getDateString, getDateStringsInRange, parseDayRange } = require('./adapters/common');
+
+/**
+ * Gate decision audit log. Every /gate and /reserve answer is stored as one document,
+ * audit/<date>/<partition>/<ms>-<random>.json, partitioned like records (the IP, or its
+ * group) so a lookup by IP only lists that IP's entries for the day.
+ */
+
+const DEFAULT_LIMIT = 1000;
+const READ_CONCURRENCY = 20;
+
+// Request fields kept as the decision's inputs
+const INPUT_FIELDS = ['ip', 'run_id', 'account', 'account_label', 'repo', 'workflow', 'job'];
+
+const partitionPrefix = (dateStr, ip) => `audit/${dateStr}/${toSafeIp(ipnet.usageKey(ip))}/`;
+
+/**
+ * Builds the audit entry for a decision.
+ */
+function buildEntry(body, result, { mode, token, error, now = new Date() }) {
+    const entry = { ts: now.toISOString(), mode };
+    for (const field of INPUT_FIELDS) {
+        if (body[field] !== undefined) entry[field] = body[field];
+    }
+    if (body.ts !== undefined) entry.request_ts = body.ts;
+    if (token) entry.token = token;
+
+    return {
+        ...entry,
+        should_run: result.should_run,
+        reason: result.reason,
+        policy: result.policy,
+        uses_today: result.uses_today,
+        last_use_utc: result.last_use_utc,
+        fail_open: result.reason === 'error_fail_open',
+        ...(result.reason === 'error_fail_closed' && { fail_closed: true }),
+        ...(error && { error }),
+        ...(result.ip_group && { ip_group: result.ip_group }),
+        ...(result.override && { override: result.override }),
+        ...(result.asn !== undefined && { asn: result.asn }),
+        ...(result.country !== undefined && { country: result.country }),
+    };
+}
+
+/**
+ * Stores an audit entry. Never throws: auditing is best-effort and must not fail the gate.
+ */
+async function recordDecision(entry) {
+    if (!config.AUDIT_LOG || !entry.ip) return;
+    try {
+        const now = new Date(entry.ts);
+        const key = `${partitionPrefix(getDateString(now), entry.ip)}${now.getTime()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await storage.putObject(key, entry);
+    } catch (err) {
+        console.error('Audit Log Error:', err.message);
+    }
+}
+
+/**
+ * Validates GET /audit parameters: ?date= or ?from=&to= (YYYY-MM-DD), plus filters.
+ * Returns { error } or the query options.
+ */
+function parseAuditQuery(query) {
+    const today = getDateString();
+    const fromStr = query.from || query.date || today;
+    const toStr = query.to || query.date || query.from || today;
+    const range = parseDayRange(fromStr, toStr);
+    if (!range) return { error: 'Invalid date/from/to, expected YYYY-MM-DD' };
+    const { from, to } = range;
+    if (to - from > config.EXPORT_MAX_DAYS * DAY_MS) {
+        return { error: `Range too large, max ${config.EXPORT_MAX_DAYS} days` };
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > DEFAULT_LIMIT) {
+        return { error: `Invalid limit, expected 1-${DEFAULT_LIMIT}` };
+    }
+
+    return { from, to, limit, filters: { ip: query.ip, run_id: query.run_id, account: query.account } };
+}
+
+function matchesFilters(entry, filters) {
+    if (filters.ip && entry.ip !== filters.ip) return false;
+    if (filters.run_id && String(entry.run_id) !== String(filters.run_id)) return false;
+    if (filters.account && entry.account !== filters.account && entry.account_label !== filters.account) return false;
+    return true;
+}
+
+async function readAll(keys) {
+    const docs = [];
+    for (let i = 0; i < keys.length; i += READ_CONCURRENCY) {
+        const batch = await Promise.all(keys.slice(i, i + READ_CONCURRENCY).map(key => storage.getObject(key)));
+        docs.push(...batch.filter(Boolean));
+    }
+    return docs;
+}
+
+/**
+ * Returns matching audit entries, oldest first, up to `limit`.
+ */
+async function queryDecisions({ from, to, limit, filters }) {
+    const entries = [];
+    for (const dateStr of getDateStringsInRange(from, to)) {
+        const prefix = filters.ip ? partitionPrefix(dateStr, filters.ip) : `audit/${dateStr}/`;
+        const docs = await readAll(await storage.listObjects(prefix));
+        entries.push(...docs.filter(entry => matchesFilters(entry, filters)));
+    }
+    entries.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+    return { entries: entries.slice(0, limit), truncated: entries.length > limit };
+}
+
+module.exports = {
+    buildEntry,
+    recordDecision,
+    parseAuditQuery,
+    queryDecisions,
+};
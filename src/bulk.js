@@ -0,0 +1,147 @@
+const bodyParser = require('body-parser');
+const config = require('./config');
+const storage = require('./storage');
+const tokens = require('./tokens');
+const validation = require('./validation');
+const { getDayRange, getRecordDateString } = require('./adapters/common');
+
+/**
+ * Bulk ingest (POST /v2/ingest/bulk) for backfills and imports from other collectors.
+ * Takes NDJSON or a JSON array of runs; each one is validated against the v2 run schema,
+ * deduplicated by run_id (within the batch and against stored records) and gets its own result.
+ */
+
+// The run schema caps a record well below this, so it bounds the body size per record.
+const MAX_BYTES_PER_RECORD = 2048;
+
+/**
+ * Middleware: reads the batch as text (NDJSON or JSON), keeping the raw body for signatures.
+ * Registered after authentication and before the global JSON parser, which then skips the
+ * already-read body.
+ */
+function readBatch(req, res, next) {
+    bodyParser.text({
+        type: ['application/x-ndjson', 'application/json', 'text/plain'],
+        limit: config.BULK_MAX_RECORDS * MAX_BYTES_PER_RECORD,
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })(req, res, next);
+}
+
+/**
+ * Splits a batch into [{ line, value }] (or { line, parseError }). A body starting with "["
+ * is a JSON array (line = index + 1), anything else NDJSON (line = line number, blanks skipped).
+ * Returns { error } if nothing can be read.
+ */
+function parseBatch(text) {
+    const body = typeof text === 'string' ? text : '';
+    if (!body.trim()) return { error: 'Empty batch, expected NDJSON or a JSON array' };
+
+    if (body.trimStart().startsWith('[')) {
+        let items;
+        try {
+            items = JSON.parse(body);
+        } catch (err) {
+            return { error: `Invalid JSON array: ${err.message}` };
+        }
+        return { lines: items.map((value, index) => ({ line: index + 1, value })) };
+    }
+
+    const lines = [];
+    body.split('\n').forEach((raw, index) => {
+        if (!raw.trim()) return;
+        try {
+            lines.push({ line: index + 1, value: JSON.parse(raw) });
+        } catch {
+            lines.push({ line: index + 1, parseError: true });
+        }
+    });
+    return { lines };
+}
+
+/**
+ * Validates, deduplicates and stores a parsed batch. `storeRecord(record)` is the same write
+ * path as /ingest. Runs are grouped per IP and day, and each group is checked against its stored
+ * records under the per-IP lock, so a concurrent /reserve of the same run is not stored twice.
+ * Returns one result per line: stored | duplicate | invalid | forbidden | error.
+ */
+async function ingestBatch(lines, { token, storeRecord }) {
+    const results = [];
+    const seen = new Set();
+    const groups = new Map();
+
+    for (const { line, value, parseError } of lines) {
+        if (parseError) {
+            results.push({ line, status: 'invalid', violations: [{ field: '(line)', message: 'is not valid JSON' }] });
+            continue;
+        }
+        const runId = value && typeof value === 'object' ? value.run_id : undefined;
+        const violations = validation.validate('run', value);
+        if (violations.length) {
+            results.push({ line, status: 'invalid', run_id: runId, violations });
+            continue;
+        }
+        if (!tokens.allowsAccount(token, value.account, value.account_label)) {
+            results.push({ line, status: 'forbidden', run_id: runId, error: `Token "${token.name}" is not allowed for this account` });
+            continue;
+        }
+        if (seen.has(runId)) {
+            results.push({ line, status: 'duplicate', run_id: runId });
+            continue;
+        }
+        seen.add(runId);
+
+        const result = { line, status: 'pending', run_id: runId };
+        results.push(result);
+        const key = `${value.ip}|${getRecordDateString(value)}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ result, record: value });
+    }
+
+    for (const entries of groups.values()) {
+        const { ip } = entries[0].record;
+        const { from, to } = getDayRange(getRecordDateString(entries[0].record));
+        try {
+            await storage.withIpLock(ip, async () => {
+                const stored = new Set((await storage.getRecordsForIpInRange(ip, from, to, { consistent: true })).map(r => r.run_id));
+                for (const { result, record } of entries) {
+                    if (stored.has(record.run_id)) {
+                        result.status = 'duplicate';
+                        continue;
+                    }
+                    try {
+                        await storeRecord(record);
+                        result.status = 'stored';
+                    } catch (err) {
+                        result.status = 'error';
+                        result.error = err.message;
+                    }
+                }
+            });
+        } catch (err) {
+            for (const { result } of entries) {
+                if (result.status !== 'pending') continue;
+                result.status = 'error';
+                result.error = err.message;
+            }
+        }
+    }
+
+    const count = (status) => results.filter(r => r.status === status).length;
+    return {
+        received: lines.length,
+        stored: count('stored'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid'),
+        forbidden: count('forbidden'),
+        failed: count('error'),
+        results,
+    };
+}
+
+module.exports = {
+    readBatch,
+    parseBatch,
+    ingestBatch,
+};
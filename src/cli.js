@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const storage = require('./storage');
+const gate = require('./gate');
+const runtime = require('./runtime');
+const retention = require('./retention');
+const exporter = require('./export');
+const tokens = require('./tokens');
+const { getDateString, getPartitionKey, DATE_PARTITION_RE, parseDayRange } = require('./adapters/common');
+
+/**
+ * Operator CLI (`actionip`, see bin/actionip.js). Reads the same env / .env as the service and
+ * goes through src/storage.js, so it works against local, SQLite and GCS storage alike.
+ */
+
+class UsageError extends Error {}
+
+function parse(args, options = {}, allowPositionals = true) {
+    try {
+        return parseArgs({ args, options, allowPositionals, strict: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+}
+
+function dayRange(from, to) {
+    for (const value of [from, to]) {
+        if (!DATE_PARTITION_RE.test(value)) throw new UsageError(`Invalid date "${value}", expected YYYY-MM-DD`);
+    }
+    const range = parseDayRange(from, to);
+    if (!range) throw new UsageError(`Invalid range ${from}..${to}`);
+    return range;
+}
+
+const json = (out, value) => out.write(JSON.stringify(value, null, 2) + '\n');
+
+const commands = {
+    ips: {
+        usage: 'ips [--date YYYY-MM-DD]                 IPs seen on a day (default today) with run counts',
+        async run(args, io) {
+            const { values } = parse(args, { date: { type: 'string' } }, false);
+            const date = values.date || getDateString();
+            const { from, to } = dayRange(date, date);
+
+            const byIp = new Map();
+            for (const record of await storage.getAdapter().query({ from, to })) {
+                const key = getPartitionKey(record);
+                const entry = byIp.get(key) || { ip: key, runs: 0, last_ts: null };
+                entry.runs++;
+                if (!entry.last_ts || record.ts > entry.last_ts) entry.last_ts = record.ts;
+                byIp.set(key, entry);
+            }
+            const ips = [...byIp.values()].sort((a, b) => (b.runs - a.runs) || a.ip.localeCompare(b.ip));
+            json(io.out, { date, count: ips.length, ips });
+        },
+    },
+
+    records: {
+        usage: 'records <ip> [--from DATE] [--to DATE]   An IP\'s records (default today)',
+        async run(args, io) {
+            const { values, positionals } = parse(args, { from: { type: 'string' }, to: { type: 'string' } });
+            const [ip] = positionals;
+            if (!ip) throw new UsageError('records needs an IP');
+            const today = getDateString();
+            const { from, to } = dayRange(values.from || today, values.to || values.from || today);
+
+            const records = await storage.getRecordsForIpInRange(ip, from, to, { consistent: true });
+            records.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+            json(io.out, { ip, count: records.length, records });
+        },
+    },
+
+    gate: {
+        usage: 'gate <ip> [--run-id ID] [--ts ISO] [--account A] [--account-label L] [--repo R] [--workflow W]\n' +
+            '                                          Decide a hypothetical run offline (nothing is stored)',
+        async run(args, io) {
+            const { values, positionals } = parse(args, {
+                'run-id': { type: 'string' },
+                ts: { type: 'string' },
+                account: { type: 'string' },
+                'account-label': { type: 'string' },
+                repo: { type: 'string' },
+                workflow: { type: 'string' },
+            });
+            const [ip] = positionals;
+            if (!ip) throw new UsageError('gate needs an IP');
+            const now = values.ts ? new Date(values.ts) : new Date();
+            if (Number.isNaN(now.getTime())) throw new UsageError(`Invalid --ts "${values.ts}"`);
+
+            await runtime.reload();
+            json(io.out, await previewRun({
+                ip,
+                run_id: values['run-id'] || `cli-${Date.now()}`,
+                ts: now.toISOString(),
+                account: values.account,
+                account_label: values['account-label'],
+                repo: values.repo,
+                workflow: values.workflow,
+            }, now));
+        },
+    },
+
+    export: {
+        usage: 'export [--from DATE] [--to DATE] [--format csv|ndjson] [--ip IP] [--account A] [--repo R]\n' +
+            '       [--workflow W] [--columns a,b] [--out FILE]   Same as GET /export, to stdout or a file',
+        async run(args, io) {
+            const { values } = parse(args, {
+                from: { type: 'string' },
+                to: { type: 'string' },
+                format: { type: 'string' },
+                ip: { type: 'string' },
+                account: { type: 'string' },
+                repo: { type: 'string' },
+                workflow: { type: 'string' },
+                columns: { type: 'string' },
+                out: { type: 'string' },
+            }, false);
+            const options = exporter.parseExportQuery(values);
+            if (options.error) throw new UsageError(options.error);
+
+            if (!values.out) {
+                await exporter.streamRecords(io.out, options, { end: false });
+                return;
+            }
+            const file = fs.createWriteStream(values.out);
+            const written = new Promise((resolve, reject) => file.once('finish', resolve).once('error', reject));
+            const count = await exporter.streamRecords(file, options);
+            await written;
+            io.err.write(`Exported ${count} record(s) to ${values.out}\n`);
+        },
+    },
+
+    cleanup: {
+        usage: 'cleanup [--dry-run]                      Apply the retention limits, same as POST /cleanup',
+        async run(args, io) {
+            const { values } = parse(args, { 'dry-run': { type: 'boolean' } }, false);
+            json(io.out, await retention.runCleanup({ dryRun: Boolean(values['dry-run']) }));
+        },
+    },
+
+    token: {
+        usage: 'token [--name N] [--scopes a,b]          New API token and its API_TOKENS_FILE entry',
+        async run(args, io) {
+            const { values } = parse(args, { name: { type: 'string' }, scopes: { type: 'string' } }, false);
+            const scopes = values.scopes ? values.scopes.split(',').map(s => s.trim()) : ['ingest', 'gate'];
+            const unknown = scopes.filter(s => !tokens.SCOPES.includes(s));
+            if (unknown.length) throw new UsageError(`Unknown scope(s) ${unknown.join(', ')}, expected ${tokens.SCOPES.join(', ')}`);
+
+            const secret = crypto.randomBytes(32).toString('base64url');
+            const sha = crypto.createHash('sha256').update(secret).digest('hex');
+            io.out.write([
+                `Token (give to the client, shown once): ${secret}`,
+                '',
+                'API_TOKENS_FILE entry:',
+                `  - name: ${values.name || `token-${getDateString()}`}`,
+                `    token_sha256: "${sha}"`,
+                `    scopes: [${scopes.join(', ')}]`,
+                '',
+            ].join('\n'));
+        },
+    },
+
+    secret: {
+        usage: 'secret                                   New random value for HMAC_SECRET or COLLECTOR_TOKEN',
+        async run(args, io) {
+            parse(args, {}, false);
+            io.out.write(crypto.randomBytes(32).toString('hex') + '\n');
+        },
+    },
+};
+
+/**
+ * Decides a run the way /gate does (policy, allow/deny lists, overrides) without storing it.
+ */
+async function previewRun(run, now) {
+    return gate.decideRun(run, { run_id: run.run_id }, { requestTime: now, preview: true });
+}
+
+function usage() {
+    return [
+        'Usage: actionip <command> [options]',
+        '',
+        ...Object.values(commands).map(c => `  ${c.usage}`),
+        '',
+        'Settings (STORAGE_TYPE, LOCAL_DATA_DIR, BUCKET_NAME, ...) come from the environment or .env.',
+        '',
+    ].join('\n');
+}
+
+/**
+ * Runs the CLI. Resolves to the process exit code.
+ */
+async function main(argv, { out = process.stdout, err = process.stderr } = {}) {
+    const [name, ...args] = argv;
+    if (!name || name === 'help' || name === '--help' || name === '-h') {
+        out.write(usage());
+        return 0;
+    }
+    const command = commands[name];
+    if (!command) {
+        err.write(`Unknown command "${name}"\n\n${usage()}`);
+        return 2;
+    }
+
+    try {
+        await command.run(args, { out, err });
+        return 0;
+    } catch (e) {
+        if (e instanceof UsageError) {
+            err.write(`${e.message}\n\n${usage()}`);
+            return 2;
+        }
+        err.write(`Error: ${e.message}\n`);
+        return 1;
+    }
+}
+
+module.exports = {
+    main,
+    previewRun,
+};
@@ -4,28 +4,79 @@ module.exports = {
   PORT: process.env.PORT || 8080,
   // Security
   COLLECTOR_TOKEN: process.env.COLLECTOR_TOKEN, // Required Bearer token
+  API_TOKENS_FILE: process.env.API_TOKENS_FILE, // Optional JSON/YAML registry of scoped tokens
+  METRICS_TOKEN: process.env.METRICS_TOKEN, // Optional Bearer token for GET /metrics (else a `read` token)
   HMAC_SECRET: process.env.HMAC_SECRET, // Optional HMAC secret
+  HMAC_MODE: process.env.HMAC_MODE || 'optional', // 'optional' (verify when sent) or 'required'
+  HMAC_MAX_SKEW_SECONDS: parseInt(process.env.HMAC_MAX_SKEW_SECONDS || '300', 10), // Accepted X-Timestamp drift
+  HMAC_NONCE_STORE: process.env.HMAC_NONCE_STORE || 'memory', // 'memory' or 'storage' (shared across instances)
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory', // 'memory' or 'storage' (shared across instances)
+  RATE_LIMIT_WINDOW_SECONDS: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS || '60', 10),
+  RATE_LIMIT_PER_TOKEN: parseInt(process.env.RATE_LIMIT_PER_TOKEN || '0', 10), // Requests per window per token (0 = off)
+  RATE_LIMIT_PER_IP: parseInt(process.env.RATE_LIMIT_PER_IP || '0', 10), // Requests per window per runner IP (0 = off)
 
   // Storage
-  STORAGE_TYPE: process.env.STORAGE_TYPE || 'gcs', // 'gcs' or 'local'
+  STORAGE_TYPE: process.env.STORAGE_TYPE || 'gcs', // 'gcs', 'local' or 'sqlite'
   LOCAL_DATA_DIR: process.env.LOCAL_DATA_DIR || './data', // For local storage
+  SQLITE_PATH: process.env.SQLITE_PATH, // For sqlite storage (default: <LOCAL_DATA_DIR>/actionip.sqlite)
   BUCKET_NAME: process.env.BUCKET_NAME,
   PROJECT_ID: process.env.PROJECT_ID, // Useful for BigQuery
   DATASET_ID: process.env.DATASET_ID || 'ip_data', // Default BQ Dataset
   TABLE_ID: process.env.TABLE_ID || 'ip_observations', // Default BQ Table
+  READ_MODE: process.env.READ_MODE || 'storage', // 'bigquery': gate history, unique IPs and /summary runs from BigQuery
+  BIGQUERY_READ_TIMEOUT_MS: parseInt(process.env.BIGQUERY_READ_TIMEOUT_MS || '5000', 10), // Then fall back to the storage scan
+  BIGQUERY_FALLBACK_SECONDS: parseInt(process.env.BIGQUERY_FALLBACK_SECONDS || '60', 10), // Storage-only after a failed read
+  LOCK_TIMEOUT_MS: parseInt(process.env.LOCK_TIMEOUT_MS || '10000', 10), // Max wait for a per-IP lock (/reserve)
+  LOCK_TTL_MS: parseInt(process.env.LOCK_TTL_MS || '60000', 10), // GCS locks older than this are considered stale
 
   // Policies
   MAX_RUNS_PER_IP_PER_DAY: parseInt(process.env.MAX_RUNS_PER_IP_PER_DAY || '3', 10),
   MIN_GAP_HOURS_PER_IP: parseInt(process.env.MIN_GAP_HOURS_PER_IP || '7', 10),
+  GATE_WINDOW_MODE: process.env.GATE_WINDOW_MODE || 'utc_day', // 'utc_day' or 'rolling'
+  GATE_WINDOW_HOURS: parseInt(process.env.GATE_WINDOW_HOURS || '24', 10), // Window length for 'rolling'
+  IP_ALLOWLIST: process.env.IP_ALLOWLIST || '', // Comma-separated IPs/CIDRs that always pass the gate
+  IP_DENYLIST: process.env.IP_DENYLIST || '', // Comma-separated IPs/CIDRs that are always blocked
+  IP_GROUP_PREFIX_V4: parseInt(process.env.IP_GROUP_PREFIX_V4 || '32', 10), // Count usage per /N (32 = exact IP)
+  IP_GROUP_PREFIX_V6: parseInt(process.env.IP_GROUP_PREFIX_V6 || '128', 10), // e.g. 64 to group rotating IPv6
+  GEOIP_ASN_DB: process.env.GEOIP_ASN_DB, // Optional local .mmdb/.csv/.tsv for ASN enrichment
+  GEOIP_COUNTRY_DB: process.env.GEOIP_COUNTRY_DB, // Optional local .mmdb/.csv/.tsv for country enrichment
+  AUDIT_LOG: process.env.AUDIT_LOG !== 'false', // Store every gate decision under audit/ (GET /audit)
+  OVERRIDE_MAX_HOURS: parseInt(process.env.OVERRIDE_MAX_HOURS || '168', 10), // Longest admin override allowed
+  POLICY_FILE: process.env.POLICY_FILE, // Optional JSON/YAML file with per-account/repo/workflow rules
+  RUNTIME_CONFIG_FILE: process.env.RUNTIME_CONFIG_FILE, // Optional JSON/YAML policy/lists/notifiers, reloaded while running
+  RUNTIME_CONFIG_OBJECT: process.env.RUNTIME_CONFIG_OBJECT, // Same, as a JSON object key in the storage backend
+  RUNTIME_CONFIG_RELOAD_SECONDS: parseInt(process.env.RUNTIME_CONFIG_RELOAD_SECONDS || '30', 10), // 0 = load once
+
+  // Aggregates (/summary)
+  AGGREGATE_SHARDS: parseInt(process.env.AGGREGATE_SHARDS || '16', 10), // Documents per day, spreads lock contention
+
+  // Bulk ingest
+  BULK_MAX_RECORDS: parseInt(process.env.BULK_MAX_RECORDS || '1000', 10), // Max records per POST /v2/ingest/bulk
+
+  // Export
+  EXPORT_MAX_DAYS: parseInt(process.env.EXPORT_MAX_DAYS || '31', 10), // Max range for GET /export
 
   // Retention
-  RETENTION_HOURS: parseInt(process.env.RETENTION_HOURS || '24', 10),
+  RETENTION_HOURS: parseInt(process.env.RETENTION_HOURS || '24', 10), // Run records (ips/), by their ts
+  AUDIT_RETENTION_DAYS: parseInt(process.env.AUDIT_RETENTION_DAYS || '30', 10), // audit/ days to keep, 0 = forever
+  AGGREGATE_RETENTION_DAYS: parseInt(process.env.AGGREGATE_RETENTION_DAYS || '90', 10), // aggregates/ days to keep, 0 = forever
+  CLEANUP_CONCURRENCY: parseInt(process.env.CLEANUP_CONCURRENCY || '20', 10), // Parallel deletes per cleanup
   RETENTION_WINDOW_MINUTES: parseInt(process.env.RETENTION_WINDOW_MINUTES || '5', 10),
 
   // External Sink (Optional)
   EXTERNAL_SINK_URL: process.env.EXTERNAL_SINK_URL,
   EXTERNAL_SINK_TOKEN: process.env.EXTERNAL_SINK_TOKEN,
   DISCORD_WEBHOOK_URL: process.env.DISCORD_WEBHOOK_URL,
+  NOTIFIERS_FILE: process.env.NOTIFIERS_FILE, // Optional JSON/YAML list of Discord/Slack/Teams/webhook notifiers
+  DIGEST_AT_UTC: process.env.DIGEST_AT_UTC, // "HH:MM": send yesterday's digest daily from an in-process timer (VM mode)
+  DELIVERY_MAX_ATTEMPTS: parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '8', 10), // Then dead-lettered
+  DELIVERY_BACKOFF_BASE_SECONDS: parseInt(process.env.DELIVERY_BACKOFF_BASE_SECONDS || '30', 10), // Doubles per attempt
+  DELIVERY_BACKOFF_MAX_SECONDS: parseInt(process.env.DELIVERY_BACKOFF_MAX_SECONDS || '3600', 10),
+  DELIVERY_RETRY_INTERVAL_SECONDS: parseInt(process.env.DELIVERY_RETRY_INTERVAL_SECONDS || '60', 10), // 0 = no in-process worker
+  DELIVERY_TIMEOUT_MS: parseInt(process.env.DELIVERY_TIMEOUT_MS || '10000', 10),
+
+  // Health
+  HEALTH_PROBE_TIMEOUT_MS: parseInt(process.env.HEALTH_PROBE_TIMEOUT_MS || '3000', 10), // Per dependency on GET /readyz
 
   // Misc
   TIMEZONE_UTC: true, // Always enforce UTC for consistency
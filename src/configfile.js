@@ -0,0 +1,18 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Reads a config file from disk: YAML for .yaml/.yml, JSON otherwise.
+ * Returns { raw, doc } (the file's text and its parsed contents).
+ */
+function readConfigFile(filePath) {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    const doc = (ext === '.yaml' || ext === '.yml') ? yaml.load(raw) : JSON.parse(raw);
+    return { raw, doc };
+}
+
+module.exports = {
+    readConfigFile,
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('./config');
+const storage = require('./storage');
+const metrics = require('./metrics');
+
+/**
+ * Durable outbound delivery (external sink, notifiers) with retries.
+ *
+ * A delivery is stored as deliveries/pending/<id>.json, then attempted right away. If that
+ * fails (or the instance dies mid-attempt) it is retried with exponential backoff by processDue()
+ * (an in-process timer, or POST /admin/deliveries/process from a scheduler). After
+ * DELIVERY_MAX_ATTEMPTS it moves to deliveries/dead/ until an admin re-drives it.
+ */
+
+const PENDING = 'deliveries/pending/';
+const DEAD = 'deliveries/dead/';
+const STATUSES = { pending: PENDING, dead: DEAD };
+
+const keyFor = (prefix, id) => `${prefix}${id}.json`;
+
+// Delay before the next attempt after `attempts` failures: base * 2^(attempts-1), capped.
+function backoffMs(attempts) {
+    const seconds = Math.min(
+        config.DELIVERY_BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempts - 1),
+        config.DELIVERY_BACKOFF_MAX_SECONDS,
+    );
+    return seconds * 1000;
+}
+
+async function attempt(job) {
+    try {
+        await axios.post(job.url, job.payload, { headers: job.headers || {}, timeout: config.DELIVERY_TIMEOUT_MS });
+        return null;
+    } catch (err) {
+        metrics.outboundFailures.inc({ target: job.kind });
+        return err.response ? `HTTP ${err.response.status}` : err.message;
+    }
+}
+
+// Records a failed attempt: back to pending with a later next_attempt_at, or dead-lettered.
+async function recordFailure(job, error, now = new Date()) {
+    const updated = {
+        ...job,
+        attempts: job.attempts + 1,
+        last_error: error,
+        last_attempt_at: now.toISOString(),
+    };
+
+    if (updated.attempts >= config.DELIVERY_MAX_ATTEMPTS) {
+        updated.next_attempt_at = null;
+        updated.dead_at = now.toISOString();
+        await storage.putObject(keyFor(DEAD, job.id), updated);
+        await storage.deleteObject(keyFor(PENDING, job.id));
+        console.error(`Delivery ${job.id} (${job.target}) dead-lettered after ${updated.attempts} attempts: ${error}`);
+    } else {
+        updated.next_attempt_at = new Date(now.getTime() + backoffMs(updated.attempts)).toISOString();
+        await storage.putObject(keyFor(PENDING, job.id), updated);
+    }
+    return updated;
+}
+
+/**
+ * Delivers a JSON payload: { target, kind, url, headers?, payload }. `target` names the
+ * destination (e.g. "sink", "notifier:ops-slack"), `kind` is its metrics label.
+ * Never throws; resolves once the first attempt has succeeded or been queued for retry.
+ * If the queue can't be written the first attempt is still made, it just won't be retried.
+ */
+async function deliver({ target, kind, url, headers = {}, payload }) {
+    const now = new Date();
+    const job = {
+        id: `${now.getTime()}-${crypto.randomBytes(4).toString('hex')}`,
+        target,
+        kind: kind || target,
+        url,
+        headers,
+        payload,
+        attempts: 0,
+        created_at: now.toISOString(),
+        // Not due for the workers until this first attempt has had time to finish
+        next_attempt_at: new Date(now.getTime() + config.DELIVERY_TIMEOUT_MS + backoffMs(1)).toISOString(),
+    };
+
+    let queued = false;
+    try {
+        await storage.putObject(keyFor(PENDING, job.id), job);
+        queued = true;
+    } catch (err) {
+        console.error(`Delivery Queue Error (${target}):`, err.message);
+    }
+
+    const error = await attempt(job);
+    try {
+        if (!error) {
+            if (queued) await storage.deleteObject(keyFor(PENDING, job.id));
+        } else {
+            await recordFailure(job, error);
+        }
+    } catch (err) {
+        // A queued job is sent again when due (at least once); an unqueued one is lost
+        console.error(`Delivery Queue Error (${target}):`, err.message);
+    }
+}
+
+/**
+ * Retries every pending delivery that is due. Each one is claimed under a lock so
+ * concurrent workers (several instances) never send it twice.
+ * Returns { processed, delivered, failed }.
+ */
+async function processDue(now = new Date()) {
+    const stats = { processed: 0, delivered: 0, failed: 0 };
+
+    for (const key of await storage.listObjects(PENDING)) {
+        const id = key.slice(PENDING.length, -'.json'.length);
+        await storage.withLock(`delivery-${id}`, async () => {
+            const job = await storage.getObject(key);
+            if (!job || new Date(job.next_attempt_at) > now) return;
+
+            stats.processed++;
+            const error = await attempt(job);
+            if (error) {
+                stats.failed++;
+                await recordFailure(job, error, now);
+            } else {
+                stats.delivered++;
+                await storage.deleteObject(key);
+            }
+        });
+    }
+    return stats;
+}
+
+/**
+ * Lists deliveries by status ('pending' or 'dead'), oldest first.
+ */
+async function listDeliveries(status) {
+    const keys = await storage.listObjects(STATUSES[status]);
+    const jobs = await Promise.all(keys.map(key => storage.getObject(key)));
+    return jobs.filter(Boolean).sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Moves a dead delivery back to pending with a fresh attempt budget, due immediately.
+ * Returns the job, or null if no such dead delivery exists.
+ */
+async function redrive(id, now = new Date()) {
+    return storage.withLock(`delivery-${id}`, async () => {
+        const job = await storage.getObject(keyFor(DEAD, id));
+        if (!job) return null;
+
+        const { dead_at, ...rest } = job;
+        const revived = { ...rest, attempts: 0, next_attempt_at: now.toISOString(), redriven_at: now.toISOString() };
+        await storage.putObject(keyFor(PENDING, id), revived);
+        await storage.deleteObject(keyFor(DEAD, id));
+        return revived;
+    });
+}
+
+let timer = null;
+
+/**
+ * Starts the in-process retry loop (DELIVERY_RETRY_INTERVAL_SECONDS, 0 = off).
+ */
+function startWorker() {
+    if (timer || config.DELIVERY_RETRY_INTERVAL_SECONDS <= 0) return;
+    timer = setInterval(() => {
+        processDue().catch(err => console.error('Delivery Worker Error:', err.message));
+    }, config.DELIVERY_RETRY_INTERVAL_SECONDS * 1000);
+    timer.unref();
+}
+
+module.exports = {
+    STATUSES,
+    backoffMs,
+    deliver,
+    processDue,
+    listDeliveries,
+    redrive,
+    startWorker,
+};
@@ -0,0 +1,109 @@
+const config = require('./config');
+const storage = require('./storage');
+const aggregates = require('./aggregates');
+const notifiers = require('./notifiers');
+const { DAY_MS, getDateString } = require('./adapters/common');
+
+/**
+ * Daily digest: one summary of a UTC day (by default the previous one), saved as
+ * reports/digest/<date>.json and sent to the notifiers subscribed to the `digest` event.
+ * Runs from POST /digest (Cloud Scheduler) or the in-process timer (DIGEST_AT_UTC).
+ */
+
+const TOP_ACCOUNTS = 20;
+
+const reportKey = (dateStr) => `reports/digest/${dateStr}.json`;
+const yesterday = (now = new Date()) => getDateString(new Date(now.getTime() - DAY_MS));
+
+const sortedEntries = (counts) => Object.entries(counts || {}).sort((a, b) => (b[1] - a[1]) || a[0].localeCompare(b[0]));
+
+/**
+ * Builds the digest report for a day from its aggregates.
+ */
+async function buildDigest(dateStr) {
+    const summary = await aggregates.getSummary(dateStr);
+    return {
+        date: dateStr,
+        generated_at: new Date().toISOString(),
+        total_runs: summary.total_runs,
+        unique_ips: summary.unique_ips,
+        allowed: summary.decisions.allowed,
+        blocked: summary.decisions.blocked,
+        blocked_by_reason: summary.decisions.blocked_by_reason,
+        top_reused_ips: summary.top_reused_ips,
+        runs_by_account: Object.fromEntries(sortedEntries(summary.runs_by_account).slice(0, TOP_ACCOUNTS)),
+    };
+}
+
+// Flattened, template-friendly view of a report for notifiers
+function toContext(report) {
+    const list = (entries) => entries.map(([name, count]) => `${name}: ${count}`).join(', ') || 'none';
+    return {
+        date: report.date,
+        total_runs: report.total_runs,
+        unique_ips: report.unique_ips,
+        allowed: report.allowed,
+        blocked: report.blocked,
+        blocked_by_reason: list(sortedEntries(report.blocked_by_reason)),
+        top_ips: list(report.top_reused_ips.map(({ ip, runs }) => [ip, runs])),
+        accounts: list(sortedEntries(report.runs_by_account)),
+        report_key: reportKey(report.date),
+        digest: report,
+    };
+}
+
+/**
+ * Builds, saves and sends the digest for `date` (default: yesterday, UTC).
+ */
+async function runDigest({ date = yesterday() } = {}) {
+    const report = await buildDigest(date);
+    await storage.putObject(reportKey(date), report);
+    await notifiers.notify('digest', toContext(report));
+    return report;
+}
+
+let timer = null;
+let running = false;
+
+/**
+ * VM mode: once a day at DIGEST_AT_UTC ("HH:MM"), sends yesterday's digest unless its
+ * report already exists (so restarts and several instances don't send it twice).
+ */
+function startScheduler() {
+    if (timer || !config.DIGEST_AT_UTC) return;
+    const [hours, minutes] = config.DIGEST_AT_UTC.split(':').map(Number);
+
+    timer = setInterval(async () => {
+        const now = new Date();
+        if (running || now.getUTCHours() * 60 + now.getUTCMinutes() < hours * 60 + minutes) return;
+        running = true;
+        try {
+            const date = yesterday(now);
+            if (await storage.getObject(reportKey(date))) return;
+            await runDigest({ date });
+        } catch (err) {
+            console.error('Digest Error:', err.message);
+        } finally {
+            running = false;
+        }
+    }, 60 * 1000);
+    timer.unref();
+}
+
+/**
+ * Validates DIGEST_AT_UTC at startup.
+ */
+function validateConfig() {
+    if (config.DIGEST_AT_UTC && !/^([01]\d|2[0-3]):[0-5]\d$/.test(config.DIGEST_AT_UTC)) {
+        throw new Error('DIGEST_AT_UTC must be HH:MM (UTC), e.g. "07:00"');
+    }
+}
+
+module.exports = {
+    reportKey,
+    buildDigest,
+    toContext,
+    runDigest,
+    startScheduler,
+    validateConfig,
+};
@@ -0,0 +1,171 @@
+const { stringify } = require('csv-stringify');
+const config = require('./config');
+const storage = require('./storage');
+const ipnet = require('./ipnet');
+const { DAY_MS, getDateStringsInRange, getDayRange, parseDayRange, DATE_PARTITION_RE } = require('./adapters/common');
+
+const FORMATS = ['csv', 'ndjson'];
+const DEFAULT_COLUMNS = ['ts', 'ip', 'account', 'account_label', 'repo', 'workflow', 'job', 'run_id'];
+
+// A bare date means the whole UTC day; anything else must be an ISO timestamp.
+function parseBound(value, edge) {
+    if (DATE_PARTITION_RE.test(value)) {
+        const range = parseDayRange(value);
+        return range && range[edge];
+    }
+    const t = Date.parse(value);
+    return Number.isNaN(t) ? null : new Date(t);
+}
+
+/**
+ * Validates /export query parameters.
+ * Returns { error } for bad input, otherwise the normalized export options.
+ */
+function parseExportQuery(query) {
+    const today = new Date().toISOString().split('T')[0];
+    const from = parseBound(query.from || today, 'from');
+    const to = parseBound(query.to || query.from || today, 'to');
+
+    if (!from || !to) return { error: 'Invalid from/to, expected YYYY-MM-DD or an ISO timestamp' };
+    if (from > to) return { error: '"from" must not be after "to"' };
+    if (to - from > config.EXPORT_MAX_DAYS * DAY_MS) {
+        return { error: `Range too large, max ${config.EXPORT_MAX_DAYS} days` };
+    }
+
+    const format = (query.format || 'csv').toLowerCase();
+    if (!FORMATS.includes(format)) return { error: `Invalid format, expected one of ${FORMATS.join(', ')}` };
+
+    let columns = null;
+    if (query.columns) {
+        columns = String(query.columns).split(',').map(c => c.trim()).filter(Boolean);
+        if (columns.length === 0 || columns.some(c => !/^[a-zA-Z0-9_]+$/.test(c))) {
+            return { error: 'Invalid columns, expected a comma-separated list of field names' };
+        }
+    }
+
+    return {
+        from,
+        to,
+        format,
+        // NDJSON without explicit columns exports whole records
+        columns: columns || (format === 'csv' ? DEFAULT_COLUMNS : null),
+        filters: {
+            ip: query.ip,
+            account: query.account,
+            repo: query.repo,
+            workflow: query.workflow,
+        },
+    };
+}
+
+// `account` matches either the account id or its display label.
+function matchesFilters(record, filters) {
+    if (filters.ip && record.ip !== filters.ip) return false;
+    if (filters.account && record.account !== filters.account && record.account_label !== filters.account) return false;
+    if (filters.repo && record.repo !== filters.repo) return false;
+    if (filters.workflow && record.workflow !== filters.workflow) return false;
+    return true;
+}
+
+/**
+ * Yields matching records one UTC day at a time, oldest day first, so memory stays bounded
+ * by a single day's records however long the range is.
+ */
+async function* iterateRecords({ from, to, filters }) {
+    for (const dateStr of getDateStringsInRange(from, to)) {
+        const day = getDayRange(dateStr);
+        const records = await storage.getAdapter().query({
+            // Read the IP's partition (its group with prefix grouping); the exact IP is filtered below
+            ip: filters.ip && ipnet.usageKey(filters.ip),
+            from: new Date(Math.max(day.from.getTime(), from.getTime())),
+            to: new Date(Math.min(day.to.getTime(), to.getTime())),
+        });
+        records.sort((a, b) => new Date(a.ts) - new Date(b.ts));
+        for (const record of records) {
+            if (matchesFilters(record, filters)) yield record;
+        }
+    }
+}
+
+const pick = (record, columns) =>
+    Object.fromEntries(columns.map(c => [c, record[c] === undefined ? null : record[c]]));
+
+/**
+ * Resolves true once `stream` drains, or false if it closes or fails first (e.g. the client
+ * went away), so a stalled export stops instead of waiting forever.
+ */
+function drained(stream) {
+    if (stream.destroyed) return Promise.resolve(false);
+    return new Promise(resolve => {
+        const settle = (ok) => () => {
+            stream.removeListener('drain', onDrain);
+            stream.removeListener('close', onClose);
+            stream.removeListener('error', onClose);
+            resolve(ok);
+        };
+        const onDrain = settle(true);
+        const onClose = settle(false);
+        stream.once('drain', onDrain).once('close', onClose).once('error', onClose);
+    });
+}
+
+/**
+ * Streams the export as CSV or NDJSON to any writable (HTTP response, file, stdout).
+ * `end: false` leaves the stream open, e.g. for stdout. Resolves to the number of records
+ * written; if `out` closes early the export stops there and the record iterator is released.
+ */
+async function streamRecords(out, options, { end = true } = {}) {
+    const { format, columns } = options;
+    let count = 0;
+
+    if (format === 'ndjson') {
+        for await (const record of iterateRecords(options)) {
+            if (out.destroyed) return count;
+            count++;
+            // Same backpressure handling as the CSV branch below
+            const ok = out.write(JSON.stringify(columns ? pick(record, columns) : record) + '\n');
+            if (!ok && !(await drained(out))) return count;
+        }
+        if (end) out.end();
+        return count;
+    }
+
+    const csv = stringify({ header: true, columns });
+    // A client that goes away stops the CSV stream too, which ends the loop below
+    const stop = () => csv.destroy();
+    out.once('close', stop);
+    out.once('error', stop);
+    const done = new Promise(resolve => csv.once('close', resolve));
+    csv.pipe(out, { end });
+    for await (const record of iterateRecords(options)) {
+        if (csv.destroyed) break;
+        count++;
+        // Respect backpressure so a slow client doesn't buffer the whole export
+        if (!csv.write(pick(record, columns)) && !(await drained(csv))) break;
+    }
+    if (!csv.destroyed) csv.end();
+    await done;
+    out.removeListener('close', stop);
+    out.removeListener('error', stop);
+    return count;
+}
+
+/**
+ * Streams the export to an Express response as CSV or NDJSON.
+ */
+async function writeExport(res, options) {
+    const { format } = options;
+    const rangeName = `${options.from.toISOString().split('T')[0]}_${options.to.toISOString().split('T')[0]}`;
+
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="actionip-${rangeName}.${format}"`);
+    await streamRecords(res, options);
+}
+
+module.exports = {
+    DEFAULT_COLUMNS,
+    parseExportQuery,
+    iterateRecords,
+    streamRecords,
+    writeExport,
+};
@@ -0,0 +1,233 @@
+const { parseISO } = require('date-fns');
+const config = require('./config');
+const storage = require('./storage');
+const policy = require('./policy');
+const geoip = require('./geoip');
+const ipnet = require('./ipnet');
+const overrides = require('./overrides');
+const metrics = require('./metrics');
+
+const WINDOW_MODES = ['utc_day', 'rolling'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Returns the window settings for a resolved policy, falling back to the env config.
+ */
+function windowFor(limits = {}) {
+    const mode = limits.window_mode || config.GATE_WINDOW_MODE;
+    if (!WINDOW_MODES.includes(mode)) {
+        throw new Error(`Unknown gate window mode: ${mode}`);
+    }
+    return {
+        mode,
+        hours: limits.window_hours !== undefined ? limits.window_hours : config.GATE_WINDOW_HOURS,
+    };
+}
+
+/**
+ * Loads the records the gate needs to decide a run at `requestTime`.
+ * - utc_day: the IP's folder for today (legacy behaviour).
+ * - rolling: every partition overlapping [requestTime - 2 * window, now]. The extra window of
+ *   history lets the chronological replay know which runs at the start of the window were valid.
+ * `options` ({ consistent, runId }) pick the READ_MODE=bigquery source, see storage.js.
+ */
+async function fetchRecords(ip, requestTime, limits, options) {
+    const window = windowFor(limits);
+    if (window.mode === 'utc_day') {
+        return storage.getRecordsForIpToday(ip, options);
+    }
+
+    const from = new Date(requestTime.getTime() - 2 * window.hours * HOUR_MS);
+    const to = new Date(Math.max(requestTime.getTime(), Date.now()));
+    return storage.getRecordsForIpInRange(ip, from, to, options);
+}
+
+/**
+ * Drops records whose ts is missing or unparseable, so one bad record cannot break every later
+ * decision for its IP. Each one is counted and logged.
+ */
+function withValidTs(records) {
+    return records.filter(rec => {
+        if (typeof rec.ts === 'string' && !Number.isNaN(parseISO(rec.ts).getTime())) return true;
+        metrics.gateInvalidRecords.inc();
+        console.warn(`Skipping stored record ${rec.run_id} for ${rec.ip}: invalid ts ${JSON.stringify(rec.ts)}`);
+        return false;
+    });
+}
+
+// Oldest -> newest. If timestamps are identical, sort by run_id to ensure deterministic
+// order (Tie-breaker). This ensures that in a concurrent batch, one is always "first".
+function byTimeAsc(a, b) {
+    const timeDiff = new Date(a.ts) - new Date(b.ts);
+    if (timeDiff !== 0) return timeDiff;
+    return String(a.run_id).localeCompare(String(b.run_id));
+}
+
+/**
+ * Replays records chronologically and returns a Map of run_id -> { should_run, reason }.
+ *
+ * A run is accepted ONLY if it is >= min_gap_hours after the last accepted run; this filters
+ * out duplicates and gap violators naturally. Accepted runs are then checked against
+ * max_runs_per_day:
+ * - utc_day: by position among the day's accepted runs.
+ * - rolling: by the number of allowed runs in the preceding window_hours. Runs blocked for
+ *   max_runs do not reset the gap clock, so a blocked retry cannot extend the block.
+ * Records without a valid ts are skipped.
+ */
+function evaluateRecords(records, limits) {
+    const window = windowFor(limits);
+    const windowMs = window.hours * HOUR_MS;
+    const decisions = new Map();
+
+    const accepted = [];
+    let lastValidTs = null;
+
+    for (const rec of withValidTs(records).sort(byTimeAsc)) {
+        // A re-ingested run_id (workflow re-run) is decided by its first record only
+        if (decisions.has(rec.run_id)) continue;
+        const thisTs = parseISO(rec.ts);
+
+        // Compared in milliseconds, so fractional gaps (e.g. 0.5 hours) are exact
+        if (lastValidTs && thisTs - lastValidTs < limits.min_gap_hours * HOUR_MS) {
+            // It's skipped (Duplicate or too soon)
+            decisions.set(rec.run_id, { should_run: false, reason: 'gap_not_satisfied' });
+            continue;
+        }
+
+        if (window.mode === 'utc_day') {
+            accepted.push(thisTs);
+            lastValidTs = thisTs;
+            const overLimit = accepted.length > limits.max_runs_per_day;
+            decisions.set(rec.run_id, overLimit
+                ? { should_run: false, reason: 'max_runs_reached' }
+                : { should_run: true, reason: '' });
+            continue;
+        }
+
+        const inWindow = accepted.filter(a => thisTs - a < windowMs).length;
+        if (inWindow >= limits.max_runs_per_day) {
+            decisions.set(rec.run_id, { should_run: false, reason: 'max_runs_reached' });
+            continue;
+        }
+        accepted.push(thisTs);
+        lastValidTs = thisTs;
+        decisions.set(rec.run_id, { should_run: true, reason: '' });
+    }
+
+    return decisions;
+}
+
+/**
+ * Decides whether `runId` may run given the IP's records (which should include the run itself,
+ * since the workflow ingests before gating).
+ */
+function decide(records, runId, requestTime, limits) {
+    const window = windowFor(limits);
+    records = withValidTs(records);
+
+    // In rolling mode only the runs inside the window count as "uses"
+    const visible = window.mode === 'rolling'
+        ? records.filter(r => {
+            const t = parseISO(r.ts).getTime();
+            return t > requestTime.getTime() - window.hours * HOUR_MS && t <= requestTime.getTime();
+        })
+        : records;
+
+    const newest = [...visible].sort(byTimeAsc).pop();
+    const decision = evaluateRecords(records, limits).get(runId)
+        // A run missing from storage has not been ingested yet; treat it like a duplicate.
+        || { should_run: false, reason: 'gap_not_satisfied' };
+
+    return {
+        ...decision,
+        uses_today: visible.length,
+        last_use_utc: newest ? newest.ts : null,
+    };
+}
+
+/**
+ * Decides `body.run_id` the way /gate, /reserve and `actionip gate` do: resolves the caller's
+ * policy, replays the IP's history, then applies the allow/deny lists and any admin override.
+ * Fills `result` as it goes (so a caller failing half-way still has the policy) and returns it.
+ *
+ * Options:
+ *   requestTime   when the run happened (default: now)
+ *   store()       reserve: stores the run and resolves to its record, called only when the
+ *                 history lacks it; the whole read-decide-write sequence holds the IP's lock
+ *   preview       decide the run as if it were stored, without storing it (CLI what-if)
+ */
+async function decideRun(body, result, { requestTime = new Date(), store, preview = false } = {}) {
+    const { ip, account, account_label, repo, workflow } = body;
+
+    // 0. Pick the limits that apply to this caller (policy file or env defaults).
+    //    ASN/country come from the local GeoIP databases, falling back to what the client sent.
+    const network = geoip.enrichRecord({ ip, asn: body.asn, as_org: body.as_org, country: body.country });
+    const asn = geoip.normalizeAsn(network.asn);
+    const country = network.country ? String(network.country).toUpperCase() : null;
+    const activePolicy = policy.resolvePolicy({ account, account_label, repo, workflow, asn, country });
+    result.policy = activePolicy.name;
+    if (asn !== null) result.asn = asn;
+    if (network.as_org) result.as_org = network.as_org;
+    if (country) result.country = country;
+
+    const evaluate = async () => {
+        // 1. Get the records for this IP (today's folder, or the rolling window).
+        //    Reserve reads storage directly: BigQuery may not have the previous reserve yet.
+        let records = await fetchRecords(ip, requestTime, activePolicy,
+            { consistent: Boolean(store), runId: preview ? undefined : body.run_id });
+        metrics.gateRecordsScanned.observe(records.length);
+
+        if (!records.some(r => r.run_id === body.run_id)) {
+            if (store) records = [...records, await store()];
+            else if (preview) records = [...records, { ...body, ts: requestTime.toISOString() }];
+        }
+
+        // With count_scope 'policy', only runs governed by the same policy count against it.
+        if (activePolicy.count_scope === 'policy') {
+            records = records.filter(r => policy.resolvePolicy(r).name === activePolicy.name);
+        }
+
+        // 2. Replay history chronologically and check where *this* run_id landed
+        //    (gap_not_satisfied covers concurrent duplicates and <7h retries).
+        return decide(records, body.run_id, requestTime, activePolicy);
+    };
+
+    // Usage is counted per IP, or per network with prefix grouping
+    const group = ipnet.usageKey(ip);
+    if (group !== ip) result.ip_group = group;
+
+    // Allow/deny lists are checked before the usage policy. A listed IP skips the policy
+    // read entirely, unless this is a reserve that still has to record the run.
+    const listed = ipnet.checkAccessLists(ip);
+
+    if (store) {
+        Object.assign(result, await storage.withIpLock(ip, evaluate));
+    } else if (!listed) {
+        Object.assign(result, await evaluate());
+    }
+
+    if (listed) {
+        result.should_run = listed === 'allow';
+        result.reason = listed === 'allow' ? 'ip_allowlisted' : 'ip_denylisted';
+    }
+
+    // 3. A manual override from the admin API (keyed by the IP's group) beats lists and policy.
+    //    Its expiry is checked against the server clock, never the client-supplied ts.
+    const override = await overrides.getActiveOverride(ip);
+    if (override) {
+        result.should_run = override.should_run;
+        result.reason = override.should_run ? 'override_allow' : 'override_block';
+        result.override = { expires_at: override.expires_at, note: override.note };
+    }
+
+    return result;
+}
+
+module.exports = {
+    WINDOW_MODES,
+    windowFor,
+    fetchRecords,
+    evaluateRecords,
+    decide,
+    decideRun,
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const { Reader } = require('mmdb-lib');
+const { parse } = require('csv-parse/sync');
+const config = require('./config');
+const ipnet = require('./ipnet');
+
+/**
+ * Offline ASN / country enrichment. Databases are read from local files once (no network):
+ * - .mmdb: MaxMind-format databases (GeoLite2-ASN, GeoLite2-Country/City, ipinfo lite, ...)
+ * - .csv / .tsv: IP ranges with a header row. Either a `network` (CIDR) column or
+ *   `start_ip` + `end_ip`, plus any of `asn`, `as_org`, `country`. Ranges must not overlap.
+ */
+
+const EMPTY = { asn: null, as_org: null, country: null };
+
+// "AS15169" / "15169" / 15169 -> 15169
+function normalizeAsn(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = parseInt(String(value).replace(/^AS/i, ''), 10);
+    return Number.isNaN(n) ? null : n;
+}
+
+const normalizeCountry = (value) => (value ? String(value).toUpperCase() : null);
+
+function loadMmdb(filePath) {
+    const reader = new Reader(fs.readFileSync(filePath));
+    return (ip) => {
+        const data = reader.get(ip);
+        if (!data) return EMPTY;
+        const country = data.country && typeof data.country === 'object'
+            ? data.country.iso_code
+            : (data.country_code || data.country || (data.registered_country && data.registered_country.iso_code));
+        return {
+            asn: normalizeAsn(data.autonomous_system_number || data.asn),
+            as_org: data.autonomous_system_organization || data.as_name || data.as_org || null,
+            country: normalizeCountry(country),
+        };
+    };
+}
+
+function loadRanges(filePath) {
+    const rows = parse(fs.readFileSync(filePath), {
+        columns: true,
+        delimiter: path.extname(filePath).toLowerCase() === '.tsv' ? '\t' : ',',
+        skip_empty_lines: true,
+        trim: true,
+    });
+
+    const ranges = { 4: [], 6: [] };
+    rows.forEach((row, index) => {
+        let start, end;
+        if (row.network) {
+            const { address, prefix, family } = ipnet.parseCidr(row.network);
+            const bits = BigInt(family === 6 ? 128 : 32);
+            const size = 1n << (bits - BigInt(prefix));
+            start = { family, value: ipnet.toBigInt(address).value & ~(size - 1n) };
+            end = { family, value: start.value + size - 1n };
+        } else {
+            start = ipnet.toBigInt(row.start_ip);
+            end = ipnet.toBigInt(row.end_ip);
+        }
+        if (!start || !end || start.family !== end.family) {
+            throw new Error(`${filePath}: invalid range on data row ${index + 1}`);
+        }
+        ranges[start.family].push({
+            start: start.value,
+            end: end.value,
+            info: {
+                asn: normalizeAsn(row.asn),
+                as_org: row.as_org || null,
+                country: normalizeCountry(row.country),
+            },
+        });
+    });
+    for (const list of Object.values(ranges)) list.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+
+    return (ip) => {
+        const parsed = ipnet.toBigInt(ip);
+        if (!parsed) return EMPTY;
+        const list = ranges[parsed.family];
+
+        // Binary search for the last range starting at or before the IP
+        let lo = 0;
+        let hi = list.length - 1;
+        let found = null;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (list[mid].start <= parsed.value) {
+                found = list[mid];
+                lo = mid + 1;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return found && found.end >= parsed.value ? found.info : EMPTY;
+    };
+}
+
+function loadDatabase(filePath) {
+    return path.extname(filePath).toLowerCase() === '.mmdb' ? loadMmdb(filePath) : loadRanges(filePath);
+}
+
+// Loaded databases, keyed by the configured paths so tests (and reloads) can swap them.
+let cache = { key: null, lookups: [] };
+
+function getLookups() {
+    const files = [config.GEOIP_ASN_DB, config.GEOIP_COUNTRY_DB].filter(Boolean);
+    const key = files.join('|');
+    if (cache.key !== key) {
+        cache = { key, lookups: files.map(loadDatabase) };
+    }
+    return cache.lookups;
+}
+
+/**
+ * Returns { asn, as_org, country } for an IP, merging all configured databases
+ * (first non-null value wins). All null when nothing is configured or nothing matches.
+ */
+function lookup(ip) {
+    const result = { ...EMPTY };
+    for (const find of getLookups()) {
+        const info = find(ip);
+        for (const field of Object.keys(result)) {
+            if (result[field] === null && info[field] !== null && info[field] !== undefined) {
+                result[field] = info[field];
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Adds asn / as_org / country to a record. Database values win over client-sent ones;
+ * client values are kept when the databases have no answer.
+ */
+function enrichRecord(record) {
+    if (getLookups().length === 0) return record;
+    const info = lookup(record.ip);
+    return {
+        ...record,
+        asn: info.asn !== null ? info.asn : (normalizeAsn(record.asn) || null),
+        as_org: info.as_org || record.as_org || null,
+        country: info.country || normalizeCountry(record.country),
+    };
+}
+
+module.exports = {
+    normalizeAsn,
+    loadDatabase,
+    lookup,
+    enrichRecord,
+};
@@ -0,0 +1,84 @@
+const os = require('os');
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+
+/**
+ * Liveness (GET /healthz) and readiness (GET /readyz) for Docker, systemd and Cloud Run probes.
+ * Readiness writes, reads back and deletes a sentinel object in the storage backend and, when
+ * configured, checks the BigQuery table. Storage decides readiness; BigQuery is optional (records are only
+ * forwarded there), so a failing BigQuery reports `degraded` but keeps the instance in service.
+ */
+
+const startedAt = Date.now();
+// One sentinel per instance (so concurrent probes of several instances don't clash), deleted
+// after each probe so none are left behind by instances that are gone
+const SENTINEL_KEY = `health/${os.hostname()}-${process.pid}.json`;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs one probe: { status: 'ok' | 'error' | 'skipped', latency_ms, error? }
+async function probe(fn) {
+    const start = process.hrtime.bigint();
+    const latency = () => Number((process.hrtime.bigint() - start) / 1000000n);
+    try {
+        const configured = await withTimeout(fn(), config.HEALTH_PROBE_TIMEOUT_MS);
+        if (configured === false) return { status: 'skipped' };
+        return { status: 'ok', latency_ms: latency() };
+    } catch (err) {
+        return { status: 'error', latency_ms: latency(), error: err.message };
+    }
+}
+
+async function probeStorage() {
+    const nonce = crypto.randomBytes(8).toString('hex');
+    await storage.putObject(SENTINEL_KEY, { nonce, ts: new Date().toISOString() });
+    const read = await storage.getObject(SENTINEL_KEY);
+    if (!read || read.nonce !== nonce) throw new Error('Sentinel read back does not match what was written');
+    await storage.deleteObject(SENTINEL_KEY);
+}
+
+/**
+ * Liveness: the process is up and serving requests. Never touches dependencies.
+ */
+function liveness() {
+    return { status: 'ok', uptime_seconds: Math.round((Date.now() - startedAt) / 1000) };
+}
+
+/**
+ * Readiness: probes the dependencies in parallel.
+ * Returns { httpStatus, body: { status: 'ok' | 'degraded' | 'unavailable', checks } }.
+ */
+async function readiness() {
+    const [storageCheck, bigqueryCheck] = await Promise.all([
+        probe(probeStorage),
+        probe(() => storage.checkBigQuery()),
+    ]);
+
+    let status = 'ok';
+    if (bigqueryCheck.status === 'error') status = 'degraded';
+    if (storageCheck.status === 'error') status = 'unavailable';
+
+    return {
+        httpStatus: status === 'unavailable' ? 503 : 200,
+        body: {
+            status,
+            checks: {
+                storage: { backend: config.STORAGE_TYPE, ...storageCheck },
+                bigquery: bigqueryCheck,
+            },
+        },
+    };
+}
+
+module.exports = {
+    SENTINEL_KEY,
+    liveness,
+    readiness,
+};
@@ -0,0 +1,185 @@
+const net = require('net');
+const config = require('./config');
+
+/**
+ * IP helpers for the gate: CIDR allow/deny lists and prefix grouping.
+ * Both IPv4 and IPv6 are supported; anything that is not a valid IP is passed through untouched.
+ */
+
+const BITS = { 4: 32, 6: 128 };
+
+// Parses "10.0.0.0/8", "2001:db8::/32" or a bare address (treated as a single host).
+function parseCidr(entry) {
+    const [address, prefixStr] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+    if (!family) throw new Error(`Invalid IP or CIDR: "${entry}"`);
+
+    const prefix = prefixStr === undefined ? BITS[family] : Number(prefixStr);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > BITS[family]) {
+        throw new Error(`Invalid prefix length in "${entry}"`);
+    }
+    return { address, prefix, family };
+}
+
+function buildBlockList(list) {
+    const blockList = new net.BlockList();
+    const entries = String(list || '').split(',').map(e => e.trim()).filter(Boolean);
+    for (const entry of entries) {
+        const { address, prefix, family } = parseCidr(entry);
+        blockList.addSubnet(address, prefix, family === 6 ? 'ipv6' : 'ipv4');
+    }
+    return { blockList, size: entries.length };
+}
+
+// Parsed lists are cached per raw config value so tests (and reloads) can swap them.
+const listCache = new Map();
+function getList(raw) {
+    if (!listCache.has(raw)) listCache.set(raw, buildBlockList(raw));
+    return listCache.get(raw);
+}
+
+function inList(ip, raw) {
+    const family = net.isIP(ip);
+    if (!family || !raw) return false;
+    const { blockList, size } = getList(raw);
+    return size > 0 && blockList.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Lists from the runtime config (src/runtime.js) replace IP_ALLOWLIST / IP_DENYLIST while set.
+let runtimeLists = {};
+
+/**
+ * The allow/deny lists in effect, as raw comma-separated strings.
+ */
+function getAccessLists() {
+    return {
+        allowlist: runtimeLists.allowlist !== undefined ? runtimeLists.allowlist : config.IP_ALLOWLIST,
+        denylist: runtimeLists.denylist !== undefined ? runtimeLists.denylist : config.IP_DENYLIST,
+    };
+}
+
+/**
+ * Swaps in lists from the runtime config: { allowlist, denylist }, each a comma-separated string
+ * (validate it with validateList first). A missing list falls back to its env variable.
+ */
+function setRuntimeLists(lists = {}) {
+    runtimeLists = lists;
+}
+
+/**
+ * Throws if a comma-separated IP/CIDR list is malformed.
+ */
+function validateList(raw) {
+    buildBlockList(raw);
+}
+
+/**
+ * Checks an IP against the deny and allow lists. Deny wins if an IP is on both.
+ * Returns 'deny', 'allow' or null.
+ */
+function checkAccessLists(ip) {
+    const { allowlist, denylist } = getAccessLists();
+    if (inList(ip, denylist)) return 'deny';
+    if (inList(ip, allowlist)) return 'allow';
+    return null;
+}
+
+// "2001:db8::1" -> 8 groups of 16 bits as a BigInt. Handles "::" and embedded IPv4 tails.
+function ipv6ToBigInt(ip) {
+    let address = ip.split('%')[0];
+    const v4Tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (v4Tail) {
+        const v4 = ipv4ToBigInt(v4Tail[1]);
+        address = address.slice(0, -v4Tail[1].length) +
+            `${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+    const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+
+    return groups.reduce((acc, group) => (acc << 16n) + BigInt(parseInt(group || '0', 16)), 0n);
+}
+
+function ipv4ToBigInt(ip) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(Number(octet)), 0n);
+}
+
+function bigIntToIpv4(value) {
+    return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 0xffn).toString()).join('.');
+}
+
+// Canonical RFC 5952 text: lowercase, no leading zeros, longest zero run compressed.
+function bigIntToIpv6(value) {
+    const groups = [];
+    for (let i = 7; i >= 0; i--) groups.push(((value >> BigInt(i * 16)) & 0xffffn).toString(16));
+
+    let best = { start: -1, length: 0 };
+    for (let i = 0; i < 8;) {
+        if (groups[i] !== '0') { i++; continue; }
+        let j = i;
+        while (j < 8 && groups[j] === '0') j++;
+        if (j - i > best.length && j - i > 1) best = { start: i, length: j - i };
+        i = j;
+    }
+    if (best.start === -1) return groups.join(':');
+
+    const head = groups.slice(0, best.start).join(':');
+    const tail = groups.slice(best.start + best.length).join(':');
+    return `${head}::${tail}`;
+}
+
+/**
+ * Numeric form of an IP for range comparisons: { family: 4 | 6, value: BigInt }, or null.
+ */
+function toBigInt(ip) {
+    const family = net.isIP(ip);
+    if (!family) return null;
+    return { family, value: family === 6 ? ipv6ToBigInt(ip) : ipv4ToBigInt(ip) };
+}
+
+/**
+ * The key usage is counted under: the IP itself, or its network when IP_GROUP_PREFIX_V4 /
+ * IP_GROUP_PREFIX_V6 are below a full host (e.g. "2001:db8:1:2::/64" for a rotating IPv6 runner).
+ */
+function usageKey(ip) {
+    const family = net.isIP(ip);
+    if (!family) return ip;
+
+    const prefix = family === 6 ? config.IP_GROUP_PREFIX_V6 : config.IP_GROUP_PREFIX_V4;
+    if (prefix >= BITS[family]) return ip;
+
+    const bits = BigInt(BITS[family]);
+    const value = family === 6 ? ipv6ToBigInt(ip) : ipv4ToBigInt(ip);
+    const mask = ((1n << bits) - 1n) ^ ((1n << (bits - BigInt(prefix))) - 1n);
+    const network = value & mask;
+
+    return `${family === 6 ? bigIntToIpv6(network) : bigIntToIpv4(network)}/${prefix}`;
+}
+
+/**
+ * Validates the list/grouping config so a typo fails at startup instead of on every gate call.
+ */
+function validateConfig() {
+    buildBlockList(config.IP_ALLOWLIST);
+    buildBlockList(config.IP_DENYLIST);
+    if (!(config.IP_GROUP_PREFIX_V4 >= 0 && config.IP_GROUP_PREFIX_V4 <= 32)) {
+        throw new Error('IP_GROUP_PREFIX_V4 must be between 0 and 32');
+    }
+    if (!(config.IP_GROUP_PREFIX_V6 >= 0 && config.IP_GROUP_PREFIX_V6 <= 128)) {
+        throw new Error('IP_GROUP_PREFIX_V6 must be between 0 and 128');
+    }
+}
+
+module.exports = {
+    parseCidr,
+    checkAccessLists,
+    getAccessLists,
+    setRuntimeLists,
+    validateList,
+    toBigInt,
+    usageKey,
+    validateConfig,
+};
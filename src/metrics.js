@@ -0,0 +1,109 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served in text format on GET /metrics.
+ * Labels are kept low-cardinality: route patterns rather than URLs, never IPs or accounts.
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+    name: 'actionip_http_requests_total',
+    help: 'HTTP requests by method, route pattern and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+    name: 'actionip_http_request_duration_seconds',
+    help: 'HTTP request latency by method and route pattern',
+    labelNames: ['method', 'route'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register],
+});
+
+const gateDecisions = new client.Counter({
+    name: 'actionip_gate_decisions_total',
+    help: 'Gate decisions by outcome and reason',
+    labelNames: ['should_run', 'reason'],
+    registers: [register],
+});
+
+const gateRecordsScanned = new client.Histogram({
+    name: 'actionip_gate_records_scanned',
+    help: 'Records read from storage per gate decision',
+    buckets: [0, 1, 2, 5, 10, 25, 50, 100, 250, 1000],
+    registers: [register],
+});
+
+const gateInvalidRecords = new client.Counter({
+    name: 'actionip_gate_invalid_records_total',
+    help: 'Stored records skipped by the gate because their ts is missing or invalid',
+    registers: [register],
+});
+
+const storageDuration = new client.Histogram({
+    name: 'actionip_storage_operation_duration_seconds',
+    help: 'Storage backend latency by operation',
+    labelNames: ['operation'],
+    buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    registers: [register],
+});
+
+const storageErrors = new client.Counter({
+    name: 'actionip_storage_errors_total',
+    help: 'Failed storage backend operations',
+    labelNames: ['operation'],
+    registers: [register],
+});
+
+const outboundFailures = new client.Counter({
+    name: 'actionip_outbound_failures_total',
+    help: 'Failed deliveries to secondary destinations (bigquery, sink, discord)',
+    labelNames: ['target'],
+    registers: [register],
+});
+
+/**
+ * Middleware: counts and times every request once the response is finished.
+ */
+function httpMiddleware(req, res, next) {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+        // Matched route pattern (e.g. /admin/ips/:ip/records); unmatched paths share one label
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        const labels = { method: req.method, route };
+        end(labels);
+        httpRequests.inc({ ...labels, status: res.statusCode });
+    });
+    next();
+}
+
+function recordDecision(result) {
+    gateDecisions.inc({ should_run: String(Boolean(result.should_run)), reason: result.reason || 'none' });
+}
+
+/**
+ * Times a storage operation, counting it as an error if it throws.
+ */
+async function timeStorage(operation, fn) {
+    const end = storageDuration.startTimer({ operation });
+    try {
+        return await fn();
+    } catch (err) {
+        storageErrors.inc({ operation });
+        throw err;
+    } finally {
+        end();
+    }
+}
+
+module.exports = {
+    register,
+    httpMiddleware,
+    recordDecision,
+    gateRecordsScanned,
+    gateInvalidRecords,
+    outboundFailures,
+    timeStorage,
+};
@@ -0,0 +1,79 @@
+/**
+ * Shared helpers for notifiers: event titles and {{placeholder}} templates.
+ */
+
+const TITLES = {
+    allowed: '🚀 Job Allowed',
+    blocked: '🛑 Job Blocked',
+    fail_open: '⚠️ Gate Failed Open',
+    fail_closed: '⛔ Reserve Failed Closed',
+    cleanup: '🧹 Cleanup Finished',
+    digest: '📊 Daily Digest',
+};
+
+// Discord embed colors: green, red, orange, dark red, blue, purple
+const COLORS = {
+    allowed: 5763719,
+    blocked: 15548997,
+    fail_open: 16753920,
+    fail_closed: 10038562,
+    cleanup: 3447003,
+    digest: 10181046,
+};
+
+/**
+ * Renders "{{workflow}} on {{ip}}" against a context. Unknown placeholders render empty.
+ */
+function renderTemplate(template, context) {
+    return String(template).replace(/\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g, (match, key) => {
+        const value = context[key];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+// The default one-line text used by text-based notifiers when no template is set.
+function defaultText(context) {
+    if (context.event === 'cleanup') {
+        return `${context.title}: deleted ${context.deleted} record(s)`;
+    }
+    if (context.event === 'digest') {
+        return `${context.title} ${context.date}: ${context.total_runs} runs from ${context.unique_ips} IPs, ` +
+            `${context.blocked} blocked (${context.blocked_by_reason}). Most reused IPs: ${context.top_ips}. ` +
+            `Accounts: ${context.accounts}`;
+    }
+    return `${context.title}: ${context.workflow || 'Unknown'} (${context.account_display}) on ${context.ip}` +
+        ` — ${context.reason || 'Policy Check Passed'}, runs for this IP: ${context.uses_today}`;
+}
+
+// Label/value rows shared by the card-style notifiers (Discord fields, Teams facts).
+function summaryRows(context) {
+    if (context.event === 'cleanup') {
+        return [['Records Deleted', `${context.deleted}`]];
+    }
+    if (context.event === 'digest') {
+        return [
+            ['Date', context.date],
+            ['Total Runs', `${context.total_runs}`],
+            ['Unique IPs', `${context.unique_ips}`],
+            ['Allowed / Blocked', `${context.allowed} / ${context.blocked}`],
+            ['Blocked by Reason', context.blocked_by_reason],
+            ['Most Reused IPs', context.top_ips],
+            ['Runs by Account', context.accounts],
+        ];
+    }
+    return [
+        ['Workflow', context.workflow || 'Unknown'],
+        ['Account', context.account_display],
+        ['IP Address', context.ip],
+        ['Runs for this IP', `${context.uses_today}`],
+        ['Reason', context.reason || 'Policy Check Passed'],
+    ];
+}
+
+module.exports = {
+    TITLES,
+    COLORS,
+    renderTemplate,
+    defaultText,
+    summaryRows,
+};
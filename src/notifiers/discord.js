@@ -0,0 +1,39 @@
+const { COLORS, renderTemplate, summaryRows } = require('./common');
+
+/**
+ * Discord webhook: an embed with the run's details, or `template` as plain content.
+ */
+function createDiscordNotifier({ template } = {}) {
+    function buildPayload(context) {
+        if (template) return { content: renderTemplate(template, context) };
+
+        // Digest rows can be long lists, so only the short ones sit side by side
+        const fields = summaryRows(context).map(([name, value]) => ({
+            name,
+            value: value.length > 1024 ? `${value.slice(0, 1021)}...` : value,
+            inline: context.event !== 'digest' || value.length <= 40,
+        }));
+
+        // e.g. "AS15169 Google LLC (US)" when GeoIP enrichment knows the network
+        if (context.network) {
+            fields.push({ name: "Network", value: context.network, inline: true });
+        }
+        if (context.unique_ips_today !== undefined && context.unique_ips_today !== null) {
+            fields.push({ name: "Total Unique IPs Today", value: `${context.unique_ips_today}`, inline: true });
+        }
+
+        return {
+            embeds: [{
+                title: context.title,
+                color: COLORS[context.event],
+                fields,
+                footer: { text: "ActionIP Aggregator" },
+                timestamp: context.timestamp,
+            }],
+        };
+    }
+
+    return { type: 'discord', buildPayload };
+}
+
+module.exports = { createDiscordNotifier };
@@ -0,0 +1,160 @@
+const config = require('../config');
+const { readConfigFile } = require('../configfile');
+const delivery = require('../delivery');
+const { TITLES } = require('./common');
+const { createDiscordNotifier } = require('./discord');
+const { createSlackNotifier } = require('./slack');
+const { createTeamsNotifier } = require('./teams');
+const { createWebhookNotifier } = require('./webhook');
+
+/**
+ * Notifier contract. Every type returns an object with:
+ *
+ *   type                      'discord' | 'slack' | 'teams' | 'webhook'
+ *   buildPayload(context)  -> JSON body to POST to the notifier's URL
+ *
+ * Notifiers are configured in NOTIFIERS_FILE (JSON or YAML):
+ *
+ *   notifiers:
+ *     - name: ops-slack
+ *       type: slack
+ *       url: https://hooks.slack.com/services/...
+ *       events: [blocked, fail_open]                 # default: all events
+ *       template: "{{title}}: {{workflow}} on {{ip}} ({{reason}})"
+ *     - name: audit-hook
+ *       type: webhook
+ *       url: https://example.com/hook
+ *       headers: { Authorization: "Bearer ..." }
+ *
+ * DISCORD_WEBHOOK_URL, if set, is kept as a Discord notifier for allowed runs and digests.
+ */
+
+const EVENTS = ['allowed', 'blocked', 'fail_open', 'fail_closed', 'cleanup', 'digest'];
+
+const factories = {
+    discord: createDiscordNotifier,
+    slack: createSlackNotifier,
+    teams: createTeamsNotifier,
+    webhook: createWebhookNotifier,
+};
+
+function createNotifier(type, options) {
+    const factory = factories[type];
+    if (!factory) {
+        throw new Error(`Unknown notifier type: ${type}`);
+    }
+    return factory(options);
+}
+
+/**
+ * Parses and validates a notifier document (already decoded from JSON/YAML).
+ * Throws on invalid input so a broken file is never silently ignored.
+ */
+function normalizeNotifiers(doc) {
+    if (!doc || typeof doc !== 'object' || !Array.isArray(doc.notifiers)) {
+        throw new Error('Notifier file must contain a "notifiers" array');
+    }
+
+    return doc.notifiers.map((entry, index) => {
+        const name = entry.name || `notifier_${index + 1}`;
+        if (!entry.url) throw new Error(`Notifier "${name}": "url" is required`);
+
+        const events = entry.events ? [].concat(entry.events) : EVENTS;
+        for (const event of events) {
+            if (!EVENTS.includes(event)) {
+                throw new Error(`Notifier "${name}": unknown event "${event}", expected one of ${EVENTS.join(', ')}`);
+            }
+        }
+        if (entry.template !== undefined && typeof entry.template !== 'string') {
+            throw new Error(`Notifier "${name}": "template" must be a string`);
+        }
+
+        return {
+            name,
+            url: entry.url,
+            events,
+            headers: entry.headers || {},
+            template: entry.template || null,
+            notifier: createNotifier(entry.type, { template: entry.template }),
+        };
+    });
+}
+
+/**
+ * Loads and validates a NOTIFIERS_FILE (JSON or YAML).
+ */
+function loadNotifierFile(filePath) {
+    return normalizeNotifiers(readConfigFile(filePath).doc);
+}
+
+// Cache of the configured notifiers, keyed by the settings so tests can swap them.
+let cache = { key: null, notifiers: null };
+// Notifiers from the runtime config (src/runtime.js); replace NOTIFIERS_FILE while set.
+let runtimeNotifiers = null;
+
+/**
+ * Returns the configured notifiers: the runtime config's or NOTIFIERS_FILE entries, plus the
+ * legacy Discord webhook.
+ */
+function getNotifiers() {
+    const file = config.NOTIFIERS_FILE || null;
+    const key = `${file}|${config.DISCORD_WEBHOOK_URL || ''}`;
+    if (cache.key !== key || !cache.notifiers) {
+        const notifiers = runtimeNotifiers ? [...runtimeNotifiers] : file ? loadNotifierFile(file) : [];
+        if (config.DISCORD_WEBHOOK_URL) {
+            notifiers.push({
+                name: 'discord',
+                url: config.DISCORD_WEBHOOK_URL,
+                events: ['allowed', 'digest'],
+                headers: {},
+                template: null,
+                notifier: createDiscordNotifier(),
+            });
+        }
+        cache = { key, notifiers };
+    }
+    return cache.notifiers;
+}
+
+/**
+ * Swaps in already normalized notifiers from the runtime config (null = back to NOTIFIERS_FILE).
+ */
+function setRuntimeNotifiers(notifiers) {
+    runtimeNotifiers = notifiers;
+    cache = { key: null, notifiers: null };
+}
+
+const subscribers = (event) => getNotifiers().filter(n => n.events.includes(event));
+
+/**
+ * True if any notifier listens to `event` (lets callers skip building the context).
+ */
+const wants = (event) => subscribers(event).length > 0;
+
+/**
+ * Sends `event` to every subscribed notifier through the delivery queue, so a failed post
+ * is retried rather than dropped. Never throws; resolves once every first attempt settled.
+ */
+async function notify(event, context = {}) {
+    const targets = subscribers(event);
+    const full = { ...context, event, title: TITLES[event], timestamp: new Date().toISOString() };
+
+    await Promise.all(targets.map(({ name, url, headers, notifier }) => delivery.deliver({
+        target: `notifier:${name}`,
+        kind: notifier.type,
+        url,
+        headers,
+        payload: notifier.buildPayload(full),
+    })));
+}
+
+module.exports = {
+    EVENTS,
+    createNotifier,
+    normalizeNotifiers,
+    loadNotifierFile,
+    getNotifiers,
+    setRuntimeNotifiers,
+    wants,
+    notify,
+};
@@ -0,0 +1,13 @@
+const { renderTemplate, defaultText } = require('./common');
+
+/**
+ * Slack-compatible incoming webhook (Slack, Mattermost, Rocket.Chat): `{ text }`.
+ */
+function createSlackNotifier({ template } = {}) {
+    return {
+        type: 'slack',
+        buildPayload: (context) => ({ text: template ? renderTemplate(template, context) : defaultText(context) }),
+    };
+}
+
+module.exports = { createSlackNotifier };
@@ -0,0 +1,24 @@
+const { COLORS, renderTemplate, defaultText, summaryRows } = require('./common');
+
+/**
+ * Microsoft Teams incoming webhook (legacy MessageCard, also accepted by Workflows webhooks).
+ */
+function createTeamsNotifier({ template } = {}) {
+    function buildPayload(context) {
+        const facts = summaryRows(context).map(([name, value]) => ({ name, value }));
+
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: context.title,
+            themeColor: COLORS[context.event].toString(16).padStart(6, '0'),
+            title: context.title,
+            text: template ? renderTemplate(template, context) : defaultText(context),
+            sections: [{ facts }],
+        };
+    }
+
+    return { type: 'teams', buildPayload };
+}
+
+module.exports = { createTeamsNotifier };
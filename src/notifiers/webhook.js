@@ -0,0 +1,13 @@
+const { renderTemplate } = require('./common');
+
+/**
+ * Generic JSON webhook: the full event context, plus `message` when a template is set.
+ */
+function createWebhookNotifier({ template } = {}) {
+    return {
+        type: 'webhook',
+        buildPayload: (context) => (template ? { ...context, message: renderTemplate(template, context) } : { ...context }),
+    };
+}
+
+module.exports = { createWebhookNotifier };
@@ -0,0 +1,87 @@
+const config = require('./config');
+const storage = require('./storage');
+const ipnet = require('./ipnet');
+const { toSafeIp } = require('./adapters/common');
+
+/**
+ * Manual, time-boxed gate overrides per IP, stored as overrides/<ip>.json.
+ * While active, /gate answers with the override instead of the policy decision.
+ * With prefix grouping on, an override covers the IP's whole group.
+ */
+const overrideKey = (ip) => `overrides/${toSafeIp(ipnet.usageKey(ip))}.json`;
+
+const isActive = (override, now = new Date()) =>
+    Boolean(override) && new Date(override.expires_at).getTime() > now.getTime();
+
+/**
+ * Validates an override request body. Returns { error } or { should_run, expires_at, note }.
+ */
+function parseOverride(body = {}, now = new Date()) {
+    if (typeof body.should_run !== 'boolean') {
+        return { error: '"should_run" must be true or false' };
+    }
+
+    let expiresAt;
+    if (body.expires_at !== undefined) {
+        expiresAt = new Date(body.expires_at);
+    } else if (body.ttl_minutes !== undefined) {
+        expiresAt = new Date(now.getTime() + Number(body.ttl_minutes) * 60 * 1000);
+    } else {
+        return { error: 'Overrides are time-boxed: provide "ttl_minutes" or "expires_at"' };
+    }
+
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+        return { error: 'Override expiry must be a valid time in the future' };
+    }
+    if (expiresAt.getTime() - now.getTime() > config.OVERRIDE_MAX_HOURS * 60 * 60 * 1000) {
+        return { error: `Override may last at most ${config.OVERRIDE_MAX_HOURS} hours` };
+    }
+
+    return {
+        should_run: body.should_run,
+        expires_at: expiresAt.toISOString(),
+        note: body.note ? String(body.note).slice(0, 500) : null,
+    };
+}
+
+async function setOverride(ip, override) {
+    const doc = { ip, ...override, created_at: new Date().toISOString() };
+    await storage.putObject(overrideKey(ip), doc);
+    return doc;
+}
+
+/**
+ * Returns the IP's override if it has not expired, else null.
+ */
+async function getActiveOverride(ip, now = new Date()) {
+    const override = await storage.getObject(overrideKey(ip));
+    return isActive(override, now) ? override : null;
+}
+
+async function clearOverride(ip) {
+    await storage.deleteObject(overrideKey(ip));
+}
+
+/**
+ * Lists active overrides. Expired ones are removed on the way.
+ */
+async function listActiveOverrides(now = new Date()) {
+    const active = [];
+    for (const key of await storage.listObjects('overrides/')) {
+        const override = await storage.getObject(key);
+        if (isActive(override, now)) {
+            active.push(override);
+        } else {
+            await storage.deleteObject(key);
+        }
+    }
+    return active;
+}
+
+module.exports = {
+    parseOverride,
+    setOverride,
+    getActiveOverride,
+    clearOverride,
+    listActiveOverrides,
+};
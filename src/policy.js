@@ -0,0 +1,190 @@
+const config = require('./config');
+const { readConfigFile } = require('./configfile');
+
+// Request/record fields a rule is allowed to match on (asn/country come from GeoIP enrichment).
+const MATCH_FIELDS = ['account', 'account_label', 'repo', 'workflow', 'asn', 'country'];
+const COUNT_SCOPES = ['ip', 'policy'];
+const WINDOW_MODES = ['utc_day', 'rolling'];
+
+// Cache of the parsed policy file, keyed by path so tests can swap POLICY_FILE.
+let cache = { file: null, policies: null };
+// Policies from the runtime config (src/runtime.js); replace POLICY_FILE while set.
+let runtimePolicies = null;
+
+/**
+ * Parses and validates a policy document (already decoded from JSON/YAML).
+ * Throws on invalid input so a broken file is never silently ignored.
+ */
+function normalizePolicies(doc) {
+    if (!doc || typeof doc !== 'object') {
+        throw new Error('Policy file must contain an object');
+    }
+
+    const rules = doc.rules || [];
+    if (!Array.isArray(rules)) {
+        throw new Error('Policy "rules" must be an array');
+    }
+
+    const normalized = rules.map((rule, index) => {
+        const name = rule.name || `rule_${index + 1}`;
+        const match = { ...rule.match };
+
+        for (const key of Object.keys(match)) {
+            if (!MATCH_FIELDS.includes(key)) {
+                throw new Error(`Policy "${name}": unknown match field "${key}"`);
+            }
+        }
+        if (Object.keys(match).length === 0) {
+            throw new Error(`Policy "${name}": "match" must name at least one field`);
+        }
+        // "AS15169" and 15169 both match the numeric ASN from enrichment; countries are ISO codes.
+        if (match.asn !== undefined) {
+            match.asn = [].concat(match.asn).map(v => String(v).replace(/^AS/i, ''));
+        }
+        if (match.country !== undefined) {
+            match.country = [].concat(match.country).map(v => String(v).toUpperCase());
+        }
+        // Rules are sorted by it, and a NaN comparison would leave the order undefined
+        if (rule.priority !== undefined && !(typeof rule.priority === 'number' && Number.isFinite(rule.priority))) {
+            throw new Error(`Policy "${name}": "priority" must be a number`);
+        }
+
+        return {
+            name,
+            match,
+            priority: rule.priority || 0,
+            specificity: Object.keys(match).length,
+            order: index,
+            ...validateLimits(rule, name),
+        };
+    });
+
+    // Precedence: explicit priority, then the most specific match, then file order.
+    normalized.sort((a, b) =>
+        (b.priority - a.priority) ||
+        (b.specificity - a.specificity) ||
+        (a.order - b.order));
+
+    return {
+        default: doc.default ? validateLimits(doc.default, 'default') : {},
+        rules: normalized,
+    };
+}
+
+function validateLimits(src, name) {
+    const limits = {};
+    if (src.max_runs_per_day !== undefined) {
+        const value = Number(src.max_runs_per_day);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Policy "${name}": max_runs_per_day must be a non-negative integer`);
+        }
+        limits.max_runs_per_day = value;
+    }
+    if (src.min_gap_hours !== undefined) {
+        const value = Number(src.min_gap_hours);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Policy "${name}": min_gap_hours must be a non-negative number`);
+        }
+        limits.min_gap_hours = value;
+    }
+    if (src.count_scope !== undefined) {
+        if (!COUNT_SCOPES.includes(src.count_scope)) {
+            throw new Error(`Policy "${name}": count_scope must be one of ${COUNT_SCOPES.join(', ')}`);
+        }
+        limits.count_scope = src.count_scope;
+    }
+    if (src.window_mode !== undefined) {
+        if (!WINDOW_MODES.includes(src.window_mode)) {
+            throw new Error(`Policy "${name}": window_mode must be one of ${WINDOW_MODES.join(', ')}`);
+        }
+        limits.window_mode = src.window_mode;
+    }
+    if (src.window_hours !== undefined) {
+        const value = Number(src.window_hours);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new Error(`Policy "${name}": window_hours must be a positive number`);
+        }
+        limits.window_hours = value;
+    }
+    return limits;
+}
+
+/**
+ * Loads and validates a POLICY_FILE (JSON or YAML).
+ */
+function loadPolicyFile(filePath) {
+    return normalizePolicies(readConfigFile(filePath).doc);
+}
+
+/**
+ * Returns the active policy set: the runtime config's, else POLICY_FILE (loaded on first use).
+ */
+function getPolicies() {
+    if (runtimePolicies) return runtimePolicies;
+    const file = config.POLICY_FILE || null;
+    if (cache.file !== file || !cache.policies) {
+        cache = {
+            file,
+            policies: file ? loadPolicyFile(file) : normalizePolicies({}),
+        };
+    }
+    return cache.policies;
+}
+
+// A match value is either an exact string or a glob using '*', e.g. "my-org/*".
+function matchesValue(expected, actual) {
+    if (actual === undefined || actual === null) return false;
+    const candidates = Array.isArray(expected) ? expected : [expected];
+    return candidates.some(candidate => {
+        const pattern = String(candidate);
+        if (!pattern.includes('*')) return pattern === String(actual);
+        const regex = new RegExp('^' + pattern.split('*').map(escapeRegex).join('.*') + '$');
+        return regex.test(String(actual));
+    });
+}
+
+function escapeRegex(str) {
+    return str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ruleMatches(rule, ctx) {
+    return Object.entries(rule.match).every(([key, expected]) => matchesValue(expected, ctx[key]));
+}
+
+/**
+ * Resolves the effective limits for a run context ({ account, account_label, repo, workflow, asn, country }).
+ * Values not set by the matched rule fall back to the file default, then to the env config.
+ * `policies` defaults to the active set; the simulator passes a candidate one.
+ */
+function resolvePolicy(ctx = {}, policies = getPolicies()) {
+    const rule = policies.rules.find(r => ruleMatches(r, ctx));
+
+    const base = {
+        max_runs_per_day: config.MAX_RUNS_PER_IP_PER_DAY,
+        min_gap_hours: config.MIN_GAP_HOURS_PER_IP,
+        count_scope: 'ip',
+        ...policies.default,
+    };
+
+    if (!rule) {
+        return { name: 'default', ...base };
+    }
+
+    const { name, match, priority, specificity, order, ...limits } = rule;
+    return { name, ...base, ...limits };
+}
+
+/**
+ * Swaps in an already normalized policy set from the runtime config (null = back to POLICY_FILE).
+ */
+function setRuntimePolicies(policies) {
+    runtimePolicies = policies;
+}
+
+module.exports = {
+    loadPolicyFile,
+    normalizePolicies,
+    getPolicies,
+    resolvePolicy,
+    setRuntimePolicies,
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+const { forEachLimit } = require('./adapters/common');
+
+/**
+ * Fixed-window rate limits for /ingest, /gate and /reserve, keyed by API token and by the
+ * reported runner IP. Counters live in memory (one instance) or, with
+ * RATE_LIMIT_STORE=storage, in the storage backend under a lock so every Cloud Run
+ * instance shares them.
+ */
+
+const MAX_MEMORY_KEYS = 10000;
+const PREFIX = 'ratelimit/';
+
+function createMemoryStore() {
+    const windows = new Map();
+    return {
+        async hit(key, windowMs, now) {
+            if (windows.size >= MAX_MEMORY_KEYS) {
+                for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+            }
+            let w = windows.get(key);
+            if (!w || w.resetAt <= now) {
+                w = { count: 0, resetAt: now + windowMs };
+                windows.set(key, w);
+            }
+            w.count++;
+            return { ...w };
+        },
+    };
+}
+
+// One small object per key (ratelimit/<hash>.json), overwritten each window and deleted by
+// the retention cleanup once its window has ended (see cleanupWindows).
+function createStorageStore() {
+    return {
+        async hit(key, windowMs, now) {
+            const hash = crypto.createHash('md5').update(key).digest('hex');
+            return storage.withLock(`ratelimit-${hash}`, async () => {
+                const objectKey = `${PREFIX}${hash}.json`;
+                let w = await storage.getObject(objectKey);
+                if (!w || w.resetAt <= now) w = { count: 0, resetAt: now + windowMs };
+                w.count++;
+                await storage.putObject(objectKey, w);
+                return w;
+            });
+        },
+    };
+}
+
+let cache = { type: null, store: null };
+
+function getStore() {
+    const type = config.RATE_LIMIT_STORE;
+    if (cache.type !== type) {
+        if (type !== 'memory' && type !== 'storage') {
+            throw new Error('RATE_LIMIT_STORE must be "memory" or "storage"');
+        }
+        cache = { type, store: type === 'storage' ? createStorageStore() : createMemoryStore() };
+    }
+    return cache.store;
+}
+
+/**
+ * The limits that apply to a request: [{ key, limit }]. A token's own `rate_limit` (token
+ * file) overrides RATE_LIMIT_PER_TOKEN; 0 disables a limit.
+ */
+function limitsFor(req) {
+    const limits = [];
+    const tokenLimit = req.token && req.token.rate_limit !== undefined && req.token.rate_limit !== null
+        ? req.token.rate_limit
+        : config.RATE_LIMIT_PER_TOKEN;
+    if (req.token && tokenLimit > 0) limits.push({ key: `token:${req.token.name}`, limit: tokenLimit });
+
+    const ip = req.body && req.body.ip;
+    if (ip && config.RATE_LIMIT_PER_IP > 0) limits.push({ key: `ip:${ip}`, limit: config.RATE_LIMIT_PER_IP });
+    return limits;
+}
+
+/**
+ * Middleware: counts the request against each applicable limit and answers 429 with
+ * Retry-After once one is exceeded. A failing store lets the request through.
+ */
+async function rateLimit(req, res, next) {
+    const limits = limitsFor(req);
+    if (limits.length === 0) return next();
+
+    const now = Date.now();
+    const windowMs = config.RATE_LIMIT_WINDOW_SECONDS * 1000;
+    try {
+        const store = getStore();
+        for (const { key, limit } of limits) {
+            const { count, resetAt } = await store.hit(key, windowMs, now);
+            if (count > limit) {
+                const retryAfter = Math.max(1, Math.ceil((resetAt - now) / 1000));
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: 'Rate limit exceeded', limit_key: key, retry_after: retryAfter });
+            }
+        }
+    } catch (err) {
+        console.error('Rate Limit Error:', err.message);
+    }
+    next();
+}
+
+/**
+ * Deletes the stored windows that have ended, so IPs and tokens that stopped calling don't
+ * leave objects behind (POST /cleanup). With `dryRun` only counts them.
+ * Resolves to { scanned, deleted, failed }.
+ */
+async function cleanupWindows({ dryRun = false, now = Date.now() } = {}) {
+    const result = { scanned: 0, deleted: 0, failed: 0 };
+    const keys = await storage.listObjects(PREFIX);
+    result.scanned = keys.length;
+
+    await forEachLimit(keys, config.CLEANUP_CONCURRENCY, async (objectKey) => {
+        const hash = objectKey.slice(PREFIX.length, -'.json'.length);
+        try {
+            // Under the window's lock, so a request starting a new window is never deleted
+            const ended = await storage.withLock(`ratelimit-${hash}`, async () => {
+                const w = await storage.getObject(objectKey);
+                if (!w || w.resetAt > now) return false;
+                if (!dryRun) await storage.deleteObject(objectKey);
+                return true;
+            });
+            if (ended) result.deleted++;
+        } catch (err) {
+            result.failed++;
+            console.error(`Error deleting rate limit window ${objectKey}:`, err.message);
+        }
+    });
+    return result;
+}
+
+module.exports = {
+    rateLimit,
+    limitsFor,
+    cleanupWindows,
+};
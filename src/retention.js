@@ -0,0 +1,94 @@
+const config = require('./config');
+const storage = require('./storage');
+const ratelimit = require('./ratelimit');
+const signing = require('./signing');
+const { DAY_MS, getDateString, DATE_PARTITION_RE, forEachLimit } = require('./adapters/common');
+
+/**
+ * Retention cleanup (POST /cleanup, `actionip cleanup`). Each kind of data has its own limit:
+ *
+ *   records      ips/<date>/...          RETENTION_HOURS, by each record's ts
+ *   audit        audit/<date>/...        AUDIT_RETENTION_DAYS (0 = keep forever)
+ *   aggregates   aggregates/<date>/...   AGGREGATE_RETENTION_DAYS (0 = keep forever)
+ *   ratelimit    ratelimit/...           windows that have ended (RATE_LIMIT_STORE=storage)
+ *   nonces       nonces/...              expired request nonces (HMAC_NONCE_STORE=storage)
+ *
+ * Nothing outside these prefixes is touched (overrides, locks, reports, deliveries, config).
+ * Every section reports { scanned, deleted, failed }; one failing delete doesn't stop the rest.
+ */
+
+const OBJECT_SECTIONS = [
+    { name: 'audit', prefix: 'audit/', setting: 'AUDIT_RETENTION_DAYS' },
+    { name: 'aggregates', prefix: 'aggregates/', setting: 'AGGREGATE_RETENTION_DAYS' },
+];
+
+// Deletes the objects under `prefix` whose <date> folder is more than `days` days old.
+async function cleanupObjects(prefix, days, { dryRun }) {
+    const result = { retention_days: days, scanned: 0, deleted: 0, failed: 0 };
+    if (days <= 0) return result;
+
+    const cutoffDay = getDateString(new Date(Date.now() - days * DAY_MS));
+    const expired = (await storage.listObjects(prefix)).filter(key => {
+        const day = key.slice(prefix.length).split('/')[0];
+        return DATE_PARTITION_RE.test(day) && day < cutoffDay;
+    });
+    result.scanned = expired.length;
+
+    await forEachLimit(expired, config.CLEANUP_CONCURRENCY, async (key) => {
+        try {
+            if (!dryRun) await storage.deleteObject(key);
+            result.deleted++;
+        } catch (err) {
+            result.failed++;
+            console.error(`Error deleting expired object ${key}:`, err.message);
+        }
+    });
+    return result;
+}
+
+/**
+ * Applies every retention limit. With `dryRun` nothing is deleted and `deleted` counts what
+ * would be. Resolves to { dry_run, deleted, failed, records, audit, aggregates, ratelimit, nonces }.
+ */
+async function runCleanup({ dryRun = false } = {}) {
+    const report = {
+        dry_run: dryRun,
+        deleted: 0,
+        failed: 0,
+        records: { retention_hours: config.RETENTION_HOURS, ...await storage.cleanupGCS({ dryRun }) },
+    };
+    for (const { name, prefix, setting } of OBJECT_SECTIONS) {
+        report[name] = await cleanupObjects(prefix, config[setting], { dryRun });
+    }
+    report.ratelimit = await ratelimit.cleanupWindows({ dryRun });
+    report.nonces = await signing.cleanupNonces({ dryRun });
+    for (const section of ['records', ...OBJECT_SECTIONS.map(s => s.name), 'ratelimit', 'nonces']) {
+        report.deleted += report[section].deleted;
+        report.failed += report[section].failed;
+    }
+    return report;
+}
+
+/**
+ * Validates the retention settings at startup.
+ */
+function validateConfig() {
+    if (!Number.isInteger(config.RETENTION_HOURS) || config.RETENTION_HOURS < 1) {
+        throw new Error('RETENTION_HOURS must be a whole number of hours, at least 1');
+    }
+    if (!Number.isInteger(config.AUDIT_RETENTION_DAYS) || config.AUDIT_RETENTION_DAYS < 0) {
+        throw new Error('AUDIT_RETENTION_DAYS must be a whole number of days (0 = keep forever)');
+    }
+    // The digest reads yesterday's aggregates
+    if (!Number.isInteger(config.AGGREGATE_RETENTION_DAYS) || config.AGGREGATE_RETENTION_DAYS === 1 || config.AGGREGATE_RETENTION_DAYS < 0) {
+        throw new Error('AGGREGATE_RETENTION_DAYS must be 0 (keep forever) or at least 2 days');
+    }
+    if (!Number.isInteger(config.CLEANUP_CONCURRENCY) || config.CLEANUP_CONCURRENCY < 1) {
+        throw new Error('CLEANUP_CONCURRENCY must be at least 1');
+    }
+}
+
+module.exports = {
+    runCleanup,
+    validateConfig,
+};
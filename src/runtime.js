@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { readConfigFile } = require('./configfile');
+const storage = require('./storage');
+const policy = require('./policy');
+const ipnet = require('./ipnet');
+const notifiers = require('./notifiers');
+
+/**
+ * Runtime config: policy, access lists and notifiers that can change without a restart.
+ * Read from RUNTIME_CONFIG_FILE (JSON/YAML) or RUNTIME_CONFIG_OBJECT (a JSON object in the
+ * storage backend, so every Cloud Run instance sees the same one) and re-read every
+ * RUNTIME_CONFIG_RELOAD_SECONDS:
+ *
+ *   policy:                         # same shape as POLICY_FILE (replaces it)
+ *     default: { max_runs_per_day: 2, min_gap_hours: 7 }
+ *     rules: [...]
+ *   ip_allowlist: ["10.0.0.0/8"]    # list or comma-separated string (replaces IP_ALLOWLIST)
+ *   ip_denylist: []
+ *   notifiers: [...]                # same entries as NOTIFIERS_FILE (replaces it)
+ *
+ * A section left out falls back to its env variable / file. A new version is validated as a
+ * whole and swapped in at once; an invalid one is rejected and the previous config kept.
+ */
+
+const SECTIONS = ['policy', 'ip_allowlist', 'ip_denylist', 'notifiers'];
+
+// Secrets are never shown by GET /policy; URLs (webhooks often embed a token) keep their origin.
+const SECRET_KEYS = ['COLLECTOR_TOKEN', 'METRICS_TOKEN', 'HMAC_SECRET', 'EXTERNAL_SINK_TOKEN'];
+const URL_KEYS = ['DISCORD_WEBHOOK_URL', 'EXTERNAL_SINK_URL'];
+const REDACTED = '[redacted]';
+
+let state = { source: null, version: null, loaded_at: null, checked_at: null, last_error: null };
+// Version that failed validation, so an unchanged broken file is not re-parsed and re-logged every poll
+let rejected = null;
+let timer = null;
+
+/**
+ * Parses and validates a runtime config document (already decoded from JSON/YAML).
+ * Throws on invalid input; nothing is applied.
+ */
+function normalizeRuntimeConfig(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error('Runtime config must contain an object');
+    }
+    for (const key of Object.keys(doc)) {
+        if (!SECTIONS.includes(key)) {
+            throw new Error(`Runtime config: unknown section "${key}", expected one of ${SECTIONS.join(', ')}`);
+        }
+    }
+
+    const normalized = { policies: null, lists: {}, notifiers: null };
+    if (doc.policy !== undefined) normalized.policies = policy.normalizePolicies(doc.policy);
+    if (doc.notifiers !== undefined) normalized.notifiers = notifiers.normalizeNotifiers({ notifiers: doc.notifiers });
+    for (const [section, list] of [['ip_allowlist', 'allowlist'], ['ip_denylist', 'denylist']]) {
+        if (doc[section] === undefined) continue;
+        const raw = [].concat(doc[section]).join(',');
+        ipnet.validateList(raw);
+        normalized.lists[list] = raw;
+    }
+    return normalized;
+}
+
+// Every consumer reads its slot synchronously, so no request sees half of a new version.
+function apply(normalized) {
+    policy.setRuntimePolicies(normalized.policies);
+    ipnet.setRuntimeLists(normalized.lists);
+    notifiers.setRuntimeNotifiers(normalized.notifiers);
+}
+
+// Reads the configured source. Returns { source, raw, doc } or null if none is configured.
+async function readSource() {
+    if (config.RUNTIME_CONFIG_FILE) {
+        const { raw, doc } = readConfigFile(config.RUNTIME_CONFIG_FILE);
+        return { source: `file:${config.RUNTIME_CONFIG_FILE}`, raw, doc };
+    }
+    if (config.RUNTIME_CONFIG_OBJECT) {
+        const doc = await storage.getObject(config.RUNTIME_CONFIG_OBJECT);
+        if (!doc) throw new Error(`Runtime config object "${config.RUNTIME_CONFIG_OBJECT}" not found`);
+        return { source: `storage:${config.RUNTIME_CONFIG_OBJECT}`, raw: JSON.stringify(doc), doc };
+    }
+    return null;
+}
+
+/**
+ * Re-reads the runtime config and applies it if it changed. An unreadable or invalid version
+ * is logged and kept in `last_error`, leaving the previous config active; with `strict`
+ * (startup) it throws instead. Resolves to { changed, version, error }.
+ */
+async function reload({ strict = false } = {}) {
+    const checkedAt = new Date().toISOString();
+    let next;
+    try {
+        const read = await readSource();
+        if (!read) {
+            if (state.source) apply({ policies: null, lists: {}, notifiers: null });
+            state = { source: null, version: null, loaded_at: null, checked_at: checkedAt, last_error: null };
+            return { changed: false, version: null, error: null };
+        }
+
+        const version = crypto.createHash('sha256').update(read.raw).digest('hex').slice(0, 12);
+        if (version === state.version && read.source === state.source) {
+            state = { ...state, checked_at: checkedAt, last_error: null };
+            return { changed: false, version, error: null };
+        }
+        if (version === rejected && !strict) {
+            state = { ...state, checked_at: checkedAt };
+            return { changed: false, version: state.version, error: state.last_error };
+        }
+        try {
+            next = { source: read.source, version, normalized: normalizeRuntimeConfig(read.doc) };
+        } catch (err) {
+            rejected = version;
+            throw err;
+        }
+    } catch (err) {
+        if (strict) throw new Error(`Invalid runtime config: ${err.message}`);
+        console.error('Runtime Config Error (keeping the previous config):', err.message);
+        state = { ...state, checked_at: checkedAt, last_error: err.message };
+        return { changed: false, version: state.version, error: err.message };
+    }
+
+    apply(next.normalized);
+    state = { source: next.source, version: next.version, loaded_at: checkedAt, checked_at: checkedAt, last_error: null };
+    return { changed: true, version: next.version, error: null };
+}
+
+/**
+ * Polls the source every RUNTIME_CONFIG_RELOAD_SECONDS (polling also works for storage
+ * objects and for editors that replace the file instead of writing it).
+ */
+function startWatcher() {
+    if (timer || config.RUNTIME_CONFIG_RELOAD_SECONDS <= 0) return;
+    if (!config.RUNTIME_CONFIG_FILE && !config.RUNTIME_CONFIG_OBJECT) return;
+    timer = setInterval(() => reload(), config.RUNTIME_CONFIG_RELOAD_SECONDS * 1000);
+    timer.unref();
+}
+
+/**
+ * Validates the runtime config settings at startup.
+ */
+function validateConfig() {
+    if (config.RUNTIME_CONFIG_FILE && config.RUNTIME_CONFIG_OBJECT) {
+        throw new Error('Set only one of RUNTIME_CONFIG_FILE and RUNTIME_CONFIG_OBJECT');
+    }
+}
+
+const getStatus = () => ({ ...state });
+
+function redactUrl(value) {
+    if (!value) return null;
+    try {
+        return `${new URL(value).origin}/${REDACTED}`;
+    } catch {
+        return REDACTED;
+    }
+}
+
+// Header names stay visible, their values (tokens, API keys) don't.
+const redactHeaders = (headers) => Object.fromEntries(Object.keys(headers || {}).map(h => [h, REDACTED]));
+
+const splitList = (raw) => String(raw || '').split(',').map(e => e.trim()).filter(Boolean);
+
+/**
+ * The effective configuration for GET /policy, with secrets redacted.
+ */
+function describe() {
+    const policies = policy.getPolicies();
+    const { name, ...defaults } = policy.resolvePolicy({}, { default: policies.default, rules: [] });
+    const lists = ipnet.getAccessLists();
+
+    const settings = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (SECRET_KEYS.includes(key)) settings[key] = value ? REDACTED : null;
+        else if (URL_KEYS.includes(key)) settings[key] = redactUrl(value);
+        else settings[key] = value === undefined ? null : value;
+    }
+
+    return {
+        runtime: getStatus(),
+        policy: {
+            default: defaults,
+            rules: policies.rules.map(({ specificity, order, ...rule }) => rule),
+        },
+        access_lists: { allowlist: splitList(lists.allowlist), denylist: splitList(lists.denylist) },
+        notifiers: notifiers.getNotifiers().map(n => ({
+            name: n.name,
+            type: n.notifier.type,
+            url: redactUrl(n.url),
+            events: n.events,
+            headers: redactHeaders(n.headers),
+            template: n.template,
+        })),
+        settings,
+    };
+}
+
+module.exports = {
+    normalizeRuntimeConfig,
+    reload,
+    startWatcher,
+    validateConfig,
+    getStatus,
+    describe,
+    redactUrl,
+    redactHeaders,
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const config = require('./config');
+const storage = require('./storage');
+const { forEachLimit } = require('./adapters/common');
+
+/**
+ * HMAC request signing.
+ *
+ * Signed requests send X-Timestamp (unix seconds), X-Nonce and X-Signature, where the
+ * signature is base64(HMAC-SHA256(HMAC_SECRET, canonical)) over:
+ *
+ *   METHOD \n PATH?QUERY \n TIMESTAMP \n NONCE \n hex(SHA256(body))
+ *
+ * Requests outside HMAC_MAX_SKEW_SECONDS or reusing a nonce are rejected. Used nonces are
+ * kept in memory (one instance) or, with HMAC_NONCE_STORE=storage, in the storage backend so
+ * a request replayed against another Cloud Run instance is rejected too. The legacy
+ * body-only signature (X-Signature without X-Timestamp) is still accepted unless
+ * HMAC_MODE=required.
+ */
+
+const NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+const MAX_NONCES = 100000;
+const PREFIX = 'nonces/';
+
+function canonicalString({ method, path, timestamp, nonce, body }) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+function sign(secret, parts) {
+    return crypto.createHmac('sha256', secret).update(canonicalString(parts)).digest('base64');
+}
+
+// Constant-time comparison of two base64/text signatures.
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Nonces seen within the skew window, with the time each can be forgotten. A nonce only
+ * needs remembering while its timestamp is still acceptable.
+ */
+function createMemoryStore() {
+    const seenNonces = new Map();
+
+    function prune(now) {
+        for (const [nonce, expiresAt] of seenNonces) {
+            if (expiresAt <= now) seenNonces.delete(nonce);
+        }
+        // Still full: drop the oldest entries rather than growing without bound
+        while (seenNonces.size >= MAX_NONCES) {
+            seenNonces.delete(seenNonces.keys().next().value);
+        }
+    }
+
+    return {
+        async remember(nonce, expiresAt, now) {
+            const seen = seenNonces.get(nonce);
+            if (seen !== undefined && seen > now) return false;
+            if (seenNonces.size >= MAX_NONCES) prune(now);
+            seenNonces.set(nonce, expiresAt);
+            return true;
+        },
+    };
+}
+
+// One small object per nonce (nonces/<hash>.json), written under a lock so two instances
+// can't both accept it, and deleted by the retention cleanup once expired (see cleanupNonces).
+function createStorageStore() {
+    return {
+        async remember(nonce, expiresAt, now) {
+            const hash = crypto.createHash('sha256').update(nonce).digest('hex');
+            return storage.withLock(`nonce-${hash}`, async () => {
+                const objectKey = `${PREFIX}${hash}.json`;
+                const seen = await storage.getObject(objectKey);
+                if (seen && seen.expiresAt > now) return false;
+                await storage.putObject(objectKey, { expiresAt });
+                return true;
+            });
+        },
+    };
+}
+
+let cache = { type: null, store: null };
+
+function getStore() {
+    const type = config.HMAC_NONCE_STORE;
+    if (cache.type !== type) {
+        cache = { type, store: type === 'storage' ? createStorageStore() : createMemoryStore() };
+    }
+    return cache.store;
+}
+
+// Records a nonce; false if it was already used.
+function rememberNonce(nonce, now) {
+    return getStore().remember(nonce, now + 2 * config.HMAC_MAX_SKEW_SECONDS * 1000, now);
+}
+
+/**
+ * Checks a request's signature. Resolves to null if the request is acceptable, otherwise
+ * an error message for a 401. Rejects if the nonce store fails.
+ */
+async function verifyRequest(req, now = Date.now()) {
+    if (!config.HMAC_SECRET) return null;
+
+    const signature = req.headers['x-signature'];
+    const timestamp = req.headers['x-timestamp'];
+    const nonce = req.headers['x-nonce'];
+    const required = config.HMAC_MODE === 'required';
+
+    if (!signature) return required ? 'Missing HMAC Signature' : null;
+
+    // Legacy body-only signature
+    if (timestamp === undefined) {
+        if (required) return 'Missing X-Timestamp / X-Nonce headers';
+        const expected = crypto.createHmac('sha256', config.HMAC_SECRET).update(req.rawBody || '').digest('base64');
+        return safeEqual(signature, expected) ? null : 'Invalid HMAC Signature';
+    }
+
+    if (!/^\d+$/.test(timestamp)) return 'Invalid X-Timestamp';
+    if (Math.abs(now - Number(timestamp) * 1000) > config.HMAC_MAX_SKEW_SECONDS * 1000) {
+        return 'Request timestamp outside the allowed clock skew';
+    }
+    if (!nonce || !NONCE_RE.test(nonce)) return 'Invalid X-Nonce';
+
+    const expected = sign(config.HMAC_SECRET, {
+        method: req.method,
+        path: req.originalUrl,
+        timestamp,
+        nonce,
+        body: req.rawBody,
+    });
+    if (!safeEqual(signature, expected)) return 'Invalid HMAC Signature';
+
+    // Only a correctly signed request may consume a nonce
+    if (!(await rememberNonce(nonce, now))) return 'Replayed request (nonce already used)';
+    return null;
+}
+
+/**
+ * Deletes the stored nonces that have expired (POST /cleanup). With `dryRun` only counts them.
+ * Resolves to { scanned, deleted, failed }.
+ */
+async function cleanupNonces({ dryRun = false, now = Date.now() } = {}) {
+    const result = { scanned: 0, deleted: 0, failed: 0 };
+    const keys = await storage.listObjects(PREFIX);
+    result.scanned = keys.length;
+
+    await forEachLimit(keys, config.CLEANUP_CONCURRENCY, async (objectKey) => {
+        const hash = objectKey.slice(PREFIX.length, -'.json'.length);
+        try {
+            const expired = await storage.withLock(`nonce-${hash}`, async () => {
+                const seen = await storage.getObject(objectKey);
+                if (!seen || seen.expiresAt > now) return false;
+                if (!dryRun) await storage.deleteObject(objectKey);
+                return true;
+            });
+            if (expired) result.deleted++;
+        } catch (err) {
+            result.failed++;
+            console.error(`Error deleting nonce ${objectKey}:`, err.message);
+        }
+    });
+    return result;
+}
+
+/**
+ * Validates the signing config at startup: required mode without a secret would accept anything.
+ */
+function validateConfig() {
+    if (!['memory', 'storage'].includes(config.HMAC_NONCE_STORE)) {
+        throw new Error('HMAC_NONCE_STORE must be "memory" or "storage"');
+    }
+    if (!['optional', 'required'].includes(config.HMAC_MODE)) {
+        throw new Error('HMAC_MODE must be "optional" or "required"');
+    }
+    if (config.HMAC_MODE === 'required' && !config.HMAC_SECRET) {
+        throw new Error('HMAC_MODE=required needs HMAC_SECRET');
+    }
+}
+
+module.exports = {
+    canonicalString,
+    sign,
+    safeEqual,
+    verifyRequest,
+    cleanupNonces,
+    validateConfig,
+};
@@ -0,0 +1,182 @@
+const config = require('./config');
+const storage = require('./storage');
+const policy = require('./policy');
+const gate = require('./gate');
+const geoip = require('./geoip');
+const { DAY_MS, getDateString, getPartitionKey, parseDayRange } = require('./adapters/common');
+
+/**
+ * Policy simulation (POST /simulate): replays stored records through the gate's chronological
+ * valid-run algorithm (gate.evaluateRecords) under the current policy and a candidate one, and
+ * counts what each would have allowed or blocked. Access lists and admin overrides are not
+ * replayed; only the policy is compared.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_DAYS = 7;
+const LIMIT_FIELDS = ['max_runs_per_day', 'min_gap_hours', 'count_scope', 'window_mode', 'window_hours'];
+
+/**
+ * Validates a simulation request: { from, to, policy, account }. `from`/`to` are UTC days
+ * (default: the last 7 days including today); `policy` is a policy document like POLICY_FILE
+ * ({ default, rules }) that replaces the active one, or bare limits ({ max_runs_per_day: 2 })
+ * used as its default. Returns { error } or the options.
+ */
+function parseSimulation(body = {}) {
+    const today = getDateString();
+    const fromStr = body.from || getDateString(new Date(Date.now() - (DEFAULT_DAYS - 1) * DAY_MS));
+    const toStr = body.to || today;
+    const range = parseDayRange(fromStr, toStr);
+    if (!range) return { error: 'Invalid from/to, expected YYYY-MM-DD' };
+    const { from, to } = range;
+    if (to - from > config.EXPORT_MAX_DAYS * DAY_MS) {
+        return { error: `Range too large, max ${config.EXPORT_MAX_DAYS} days` };
+    }
+
+    if (!body.policy || typeof body.policy !== 'object' || Array.isArray(body.policy)) {
+        return { error: '"policy" must be a policy document or an object of limits' };
+    }
+    const isDocument = body.policy.default !== undefined || body.policy.rules !== undefined;
+    if (!isDocument && !Object.keys(body.policy).some(key => LIMIT_FIELDS.includes(key))) {
+        return { error: `"policy" must set "default", "rules" or one of ${LIMIT_FIELDS.join(', ')}` };
+    }
+
+    let candidate;
+    try {
+        candidate = policy.normalizePolicies(isDocument ? body.policy : { default: body.policy });
+    } catch (err) {
+        return { error: `Invalid policy: ${err.message}` };
+    }
+
+    return { from, to, candidate, account: body.account };
+}
+
+// The context a record's policy was resolved from at gate time (see decideRun in app.js).
+function policyContext(record) {
+    const asn = geoip.normalizeAsn(record.asn);
+    return {
+        account: record.account,
+        account_label: record.account_label,
+        repo: record.repo,
+        workflow: record.workflow,
+        asn,
+        country: record.country ? String(record.country).toUpperCase() : null,
+    };
+}
+
+// Rolling windows need history from before `from`: twice the longest window any policy uses.
+function lookbackMs(policySets) {
+    let hours = 0;
+    for (const set of policySets) {
+        for (const limits of [set.default, ...set.rules.map(rule => ({ ...set.default, ...rule }))]) {
+            const window = gate.windowFor(limits);
+            if (window.mode === 'rolling') hours = Math.max(hours, window.hours);
+        }
+    }
+    return 2 * hours * HOUR_MS;
+}
+
+/**
+ * Decides every record of one IP (or network) under a policy set, as the gate did: each run
+ * under the limits of its own policy, against the IP's records of that UTC day (or all of
+ * them in rolling mode, filtered to the same policy with count_scope 'policy').
+ * Returns a Map of run_id -> { should_run, reason }.
+ */
+function decideGroup(records, policies) {
+    const resolved = records.map(record => ({ record, limits: policy.resolvePolicy(policyContext(record), policies) }));
+    const evaluations = new Map();
+    const decisions = new Map();
+
+    for (const { record, limits } of resolved) {
+        if (decisions.has(record.run_id)) continue;
+        const day = gate.windowFor(limits).mode === 'utc_day' ? getDateString(new Date(record.ts)) : 'all';
+        const key = `${day}|${JSON.stringify(limits)}`;
+
+        if (!evaluations.has(key)) {
+            const visible = resolved.filter(r =>
+                (day === 'all' || getDateString(new Date(r.record.ts)) === day) &&
+                (limits.count_scope !== 'policy' || r.limits.name === limits.name));
+            evaluations.set(key, gate.evaluateRecords(visible.map(r => r.record), limits));
+        }
+        decisions.set(record.run_id, evaluations.get(key).get(record.run_id));
+    }
+    return decisions;
+}
+
+const emptySide = () => ({ allowed: 0, blocked: 0, blocked_by_reason: {} });
+const emptyTally = () => ({ runs: 0, current: emptySide(), candidate: emptySide(), newly_blocked: 0, newly_allowed: 0 });
+
+function count(tally, current, candidate) {
+    tally.runs++;
+    for (const [side, decision] of [['current', current], ['candidate', candidate]]) {
+        if (decision.should_run) {
+            tally[side].allowed++;
+        } else {
+            tally[side].blocked++;
+            tally[side].blocked_by_reason[decision.reason] = (tally[side].blocked_by_reason[decision.reason] || 0) + 1;
+        }
+    }
+    if (current.should_run && !candidate.should_run) tally.newly_blocked++;
+    if (!current.should_run && candidate.should_run) tally.newly_allowed++;
+}
+
+/**
+ * Runs the simulation. Outcomes are counted per run (first record of a run_id) with `ts` in
+ * [from, to], optionally only for one account (id or label); every account's runs still count
+ * against the IPs they share.
+ */
+async function simulate({ from, to, candidate, account }) {
+    const current = policy.getPolicies();
+    const loadFrom = new Date(from.getTime() - lookbackMs([current, candidate]));
+    const records = (await storage.getAdapter().query({ from: loadFrom, to }))
+        .filter(r => r.run_id !== undefined && !Number.isNaN(Date.parse(r.ts)));
+
+    const groups = new Map();
+    for (const record of records) {
+        const key = getPartitionKey(record);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(record);
+    }
+
+    const total = emptyTally();
+    const byDay = {};
+    const byAccount = {};
+
+    for (const group of groups.values()) {
+        const currentDecisions = decideGroup(group, current);
+        const candidateDecisions = decideGroup(group, candidate);
+        const counted = new Set();
+
+        for (const record of [...group].sort((a, b) => new Date(a.ts) - new Date(b.ts))) {
+            const ts = new Date(record.ts);
+            if (counted.has(record.run_id)) continue;
+            counted.add(record.run_id);
+            if (ts < from || ts > to) continue;
+            if (account && record.account !== account && record.account_label !== account) continue;
+
+            const day = getDateString(ts);
+            const accountName = record.account_label || record.account || 'unknown';
+            byDay[day] = byDay[day] || emptyTally();
+            byAccount[accountName] = byAccount[accountName] || emptyTally();
+
+            const outcome = [currentDecisions.get(record.run_id), candidateDecisions.get(record.run_id)];
+            for (const tally of [total, byDay[day], byAccount[accountName]]) {
+                count(tally, ...outcome);
+            }
+        }
+    }
+
+    return {
+        from: getDateString(from),
+        to: getDateString(to),
+        account: account || null,
+        total,
+        by_day: Object.fromEntries(Object.entries(byDay).sort(([a], [b]) => a.localeCompare(b))),
+        by_account: byAccount,
+    };
+}
+
+module.exports = {
+    parseSimulation,
+    simulate,
+};
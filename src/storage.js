@@ -1,9 +1,11 @@
 const { Storage } = require('@google-cloud/storage');
 const { BigQuery } = require('@google-cloud/bigquery');
-const { format } = require('date-fns');
-const fs = require('fs');
 const path = require('path');
 const config = require('./config');
+const ipnet = require('./ipnet');
+const metrics = require('./metrics');
+const { createAdapter } = require('./adapters');
+const { getDayRange, toSafeIp } = require('./adapters/common');
 
 // Initialize Cloud Clients (only if needed/configured to avoid errors in VM without creds)
 let storage, bigquery;
@@ -16,62 +18,63 @@ if (config.STORAGE_TYPE === 'gcs') {
     }
 }
 
-// Helper to get today's date path in UTC: YYYY-MM-DD
-const getTodayDateString = () => new Date().toISOString().split('T')[0];
+// Adapters are created lazily and rebuilt if the relevant config changes (tests switch modes).
+let adapterCache = { key: null, adapter: null };
 
 /**
- * Appends data to Storage (GCS or Local)
+ * Returns the storage adapter for the configured STORAGE_TYPE.
+ * See src/adapters/index.js for the contract every backend implements.
  */
-async function appendToGCS(record) {
-    const dateStr = record.ts ? record.ts.split('T')[0] : getTodayDateString();
-    const safeIp = record.ip.replace(/[^a-zA-Z0-9.:-]/g, '_');
-    const filename = `${Date.now()}-${record.run_id}-${Math.floor(Math.random() * 1000)}.json`;
-
-    if (config.STORAGE_TYPE === 'local') {
-        // LOCAL STORAGE IMPLEMENTATION
-        const dir = path.join(config.LOCAL_DATA_DIR, 'ips', dateStr, safeIp);
-        const filePath = path.join(dir, filename);
-
-        try {
-            fs.mkdirSync(dir, { recursive: true });
-            fs.writeFileSync(filePath, JSON.stringify(record));
-        } catch (err) {
-            console.error('Error writing to Local Storage:', err);
-        }
+function getAdapter() {
+    const type = config.STORAGE_TYPE;
+    const options = {
+        local: { dataDir: config.LOCAL_DATA_DIR },
+        gcs: {
+            client: storage,
+            bucketName: config.BUCKET_NAME,
+            lockTimeoutMs: config.LOCK_TIMEOUT_MS,
+            lockTtlMs: config.LOCK_TTL_MS,
+        },
+        sqlite: { filename: config.SQLITE_PATH || path.join(config.LOCAL_DATA_DIR, 'actionip.sqlite') },
+    }[type];
 
-    } else {
-        // GCS STORAGE IMPLEMENTATION
-        if (!config.BUCKET_NAME || !storage) {
-            console.warn('BUCKET_NAME not set or Storage not init, skipping GCS write.');
-            return;
-        }
-
-        const bucket = storage.bucket(config.BUCKET_NAME);
-        const gcsPath = `ips/${dateStr}/${safeIp}/${filename}`;
-        const file = bucket.file(gcsPath);
-
-        try {
-            await file.save(JSON.stringify(record));
-        } catch (err) {
-            console.error('Error writing to GCS:', err);
-        }
+    const key = JSON.stringify([type, options && { ...options, client: undefined }]);
+    if (adapterCache.key !== key) {
+        if (adapterCache.adapter && adapterCache.adapter.close) adapterCache.adapter.close();
+        adapterCache = { key, adapter: createAdapter(type, options) };
     }
+    return adapterCache.adapter;
+}
+
+/**
+ * Appends data to Storage (GCS, Local or SQLite)
+ * With IP prefix grouping on, the record is partitioned under its network (ip_group).
+ */
+async function appendToGCS(record) {
+    const group = ipnet.usageKey(record.ip);
+    const stored = group === record.ip ? record : { ...record, ip_group: group };
+    await metrics.timeStorage('append', () => getAdapter().append(stored));
 }
 
 /**
  * Inserts data into BigQuery (Streaming)
  * (Only works if Cloud creds are available, even in VM mode if configured)
+ * Columns the table doesn't have are dropped, so older tables keep accepting rows.
  */
 async function insertIntoBigQuery(record) {
   if (!bigquery) return; // Skip if BQ not init
 
   try {
+    const group = ipnet.usageKey(record.ip);
     const row = {
       account: record.account,
+      account_label: record.account_label || null,
       repo: record.repo,
+      workflow: record.workflow || null,
       run_id: record.run_id,
       job: record.job,
       ip: record.ip,
+      ip_group: group !== record.ip ? group : null,
       ts: bigquery.datetime(record.ts),
       country: record.country || null,
       asn: record.asn || null,
@@ -80,162 +83,232 @@ async function insertIntoBigQuery(record) {
     await bigquery
       .dataset(config.DATASET_ID)
       .table(config.TABLE_ID)
-      .insert([row]);
+      .insert([row], { ignoreUnknownValues: true });
 
   } catch (err) {
     if (err.code !== 404) {
+       metrics.outboundFailures.inc({ target: 'bigquery' });
        console.error('BigQuery Insert Error:', JSON.stringify(err.errors || err));
     }
   }
 }
 
 /**
- * Reads all records for a specific IP for "today".
+ * Readiness probe for BigQuery: checks that the configured table exists.
+ * Returns false if BigQuery is not configured; throws if it is unreachable or the table is missing.
  */
-async function getRecordsForIpToday(ip) {
-  const dateStr = getTodayDateString();
-  const safeIp = ip.replace(/[^a-zA-Z0-9.:-]/g, '_');
-
-  const records = [];
-
-  if (config.STORAGE_TYPE === 'local') {
-      // LOCAL READ
-      const dir = path.join(config.LOCAL_DATA_DIR, 'ips', dateStr, safeIp);
-      if (!fs.existsSync(dir)) return [];
-
-      try {
-          const files = fs.readdirSync(dir);
-          for (const file of files) {
-              if (file.endsWith('.json')) {
-                  const content = fs.readFileSync(path.join(dir, file));
-                  records.push(JSON.parse(content));
-              }
-          }
-      } catch (err) {
-          console.error('Error reading Local Storage:', err);
-      }
-
-  } else {
-      // GCS READ
-      if (!config.BUCKET_NAME || !storage) return [];
-      const bucket = storage.bucket(config.BUCKET_NAME);
-      const prefix = `ips/${dateStr}/${safeIp}/`;
-
-      try {
-        const [files] = await bucket.getFiles({ prefix });
-        const READ_CONCURRENCY = 50;
-        for (let i = 0; i < files.length; i += READ_CONCURRENCY) {
-            const chunk = files.slice(i, i + READ_CONCURRENCY);
-            await Promise.all(chunk.map(async (file) => {
-                try {
-                    const [content] = await file.download();
-                    records.push(JSON.parse(content.toString()));
-                } catch (e) {}
-            }));
-        }
-      } catch (err) {
-        console.error('Error reading GCS for Gate:', err);
-      }
-  }
+async function checkBigQuery() {
+  if (!bigquery) return false;
+  const [exists] = await bigquery.dataset(config.DATASET_ID).table(config.TABLE_ID).exists();
+  if (!exists) throw new Error(`Table ${config.DATASET_ID}.${config.TABLE_ID} not found`);
+  return true;
+}
 
-  return records;
-}
-
-/**
- * Deletes files older than RETENTION_HOURS
- */
-async function cleanupGCS() {
-    const retentionMs = config.RETENTION_HOURS * 60 * 60 * 1000;
-    const now = Date.now();
-
-    if (config.STORAGE_TYPE === 'local') {
-        // LOCAL CLEANUP (Recursive walk)
-        // Simplified: Walk ips/ dir.
-        // Optimization: In real prod, checking every file is slow.
-        // We will just check the 'ips/' folder.
-
-        async function walk(dir) {
-            const list = fs.readdirSync(dir);
-            list.forEach(file => {
-                const filePath = path.join(dir, file);
-                const stat = fs.statSync(filePath);
-                if (stat && stat.isDirectory()) {
-                    walk(filePath);
-                    // Remove empty directories
-                    if (fs.readdirSync(filePath).length === 0) {
-                        fs.rmdirSync(filePath);
-                    }
-                } else {
-                    // It's a file
-                    if (now - stat.birthtimeMs > retentionMs) {
-                        fs.unlinkSync(filePath);
-                        console.log(`Deleted expired local file: ${filePath}`);
-                    }
-                }
-            });
-        }
+// READ_MODE=bigquery: the gate's history and the unique-IP count come from one parameterized
+// BigQuery query instead of listing and downloading every record object. Rows are streamed in
+// in the background (see forwardRecord in app.js), so reads that must see a run stored a moment
+// ago (/reserve, /gate?record=true) pass `consistent` and always scan storage.
 
-        try {
-            if (fs.existsSync(path.join(config.LOCAL_DATA_DIR, 'ips'))) {
-                 walk(path.join(config.LOCAL_DATA_DIR, 'ips'));
-            }
-        } catch (e) {
-            console.error('Local cleanup error:', e);
-        }
+const BIGQUERY_COLUMNS = ['ip', 'ip_group', 'ts', 'run_id', 'account', 'account_label', 'repo', 'workflow', 'job', 'country', 'asn'];
+const BIGQUERY_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+// Set after a failed BigQuery read; until then reads go straight to storage.
+let bigqueryRetryAt = 0;
 
-    } else {
-        // GCS CLEANUP
-        if (!config.BUCKET_NAME || !storage) return;
-        const bucket = storage.bucket(config.BUCKET_NAME);
+const tableRef = () => `\`${[config.PROJECT_ID, config.DATASET_ID, config.TABLE_ID].filter(Boolean).join('.')}\``;
+
+// DATETIME columns come back as { value: 'YYYY-MM-DDTHH:MM:SS[.ffffff]' } in UTC.
+function fromBigQueryRow(row) {
+    const record = {};
+    for (const [key, value] of Object.entries(row)) {
+        if (value === null || value === undefined) continue;
+        record[key] = key === 'ts' ? new Date(`${String(value.value || value).replace(' ', 'T').replace(/Z$/, '')}Z`).toISOString() : value;
+    }
+    return record;
+}
+
+async function queryBigQuery(query, params) {
+    const [rows] = await bigquery.query({ query, params, jobTimeoutMs: config.BIGQUERY_READ_TIMEOUT_MS });
+    return rows;
+}
+
+/**
+ * Runs a read against BigQuery when READ_MODE=bigquery, falling back to the storage scan if
+ * BigQuery is not configured or the query fails (then storage only, for BIGQUERY_FALLBACK_SECONDS).
+ * fromBigQuery may also resolve to null to hand a single read over to storage.
+ */
+async function readWithFallback(operation, fromBigQuery, fromStorage, { consistent = false } = {}) {
+    if (config.READ_MODE === 'bigquery' && bigquery && !consistent && Date.now() >= bigqueryRetryAt) {
         try {
-            const [files] = await bucket.getFiles();
-            const deletePromises = files.map(async (file) => {
-                const [metadata] = await file.getMetadata();
-                const createdTime = new Date(metadata.timeCreated).getTime();
-                if (now - createdTime > retentionMs) {
-                    await file.delete();
-                }
-            });
-            await Promise.all(deletePromises);
+            const result = await metrics.timeStorage(`bigquery_${operation}`, fromBigQuery);
+            if (result !== null) return result;
         } catch (err) {
-            console.error('Error during GCS cleanup:', err);
+            bigqueryRetryAt = Date.now() + config.BIGQUERY_FALLBACK_SECONDS * 1000;
+            const hint = /Unrecognized name/.test(err.message) ? ' (missing columns, see the READ_MODE=bigquery migration in the README)' : '';
+            console.error(`BigQuery Read Error (falling back to ${config.STORAGE_TYPE}):`, err.message + hint);
         }
     }
+    return metrics.timeStorage(operation, fromStorage);
+}
+
+// A partition's records in [from, to]. `runId` is the run being gated: it was ingested a moment
+// ago and its row streamed in the background, so if BigQuery doesn't have it yet, storage answers.
+async function readRecords(key, from, to, { consistent = false, runId } = {}) {
+    return readWithFallback('query', async () => {
+        const rows = await queryBigQuery(
+            `SELECT ${BIGQUERY_COLUMNS.join(', ')} FROM ${tableRef()} ` +
+            'WHERE COALESCE(ip_group, ip) = @key AND ts BETWEEN DATETIME(@from) AND DATETIME(@to) ORDER BY ts',
+            { key, from, to });
+        const records = rows.map(fromBigQueryRow);
+        if (runId !== undefined && !records.some(r => r.run_id === runId)) return null;
+        return records;
+    }, () => getAdapter().query({ ip: key, from, to }), { consistent });
+}
+
+// Functions below take a plain IP and read/write the partition it counts under
+// (the IP itself, or its network with prefix grouping — see ipnet.usageKey).
+
+/**
+ * Reads all records for a specific IP for "today".
+ * Options (READ_MODE=bigquery): `consistent` reads storage; `runId` must be among the records.
+ */
+async function getRecordsForIpToday(ip, options) {
+  const { from, to } = getDayRange();
+  return readRecords(ipnet.usageKey(ip), from, to, options);
 }
 
 /**
- * Counts the number of unique IPs seen today (count of subdirectories).
- * Efficient on Local Storage. Returns null for GCS to avoid cost.
+ * Reads all records for an IP whose `ts` falls within [from, to].
+ * Spans UTC day partitions, so windows can cross midnight.
+ */
+async function getRecordsForIpInRange(ip, from, to, options) {
+  return readRecords(ipnet.usageKey(ip), from, to, options);
+}
+
+/**
+ * Deletes records whose ts is older than RETENTION_HOURS (with `dryRun`, only counts them).
+ * Resolves to { scanned, deleted, failed }. See src/retention.js for audit/aggregate retention.
+ */
+async function cleanupGCS({ dryRun = false } = {}) {
+    const cutoff = new Date(Date.now() - config.RETENTION_HOURS * 60 * 60 * 1000);
+    return metrics.timeStorage('delete_older_than',
+        () => getAdapter().deleteOlderThan(cutoff, { dryRun, concurrency: config.CLEANUP_CONCURRENCY }));
+}
+
+/**
+ * Deletes an IP's records in [from, to], or only the record(s) of one run_id.
+ */
+async function deleteRecordsForIp(ip, from, to, runId) {
+    return metrics.timeStorage('delete_records', () => getAdapter().deleteRecords({ ip: ipnet.usageKey(ip), from, to, runId }));
+}
+
+/**
+ * Runs fn while holding the exclusive lock for an IP, so a read-decide-write sequence
+ * cannot interleave with another runner on the same IP (see POST /reserve).
+ */
+async function withIpLock(ip, fn) {
+    return getAdapter().withLock(`ip-${toSafeIp(ipnet.usageKey(ip))}`, fn);
+}
+
+/**
+ * Runs fn while holding an exclusive lock on an arbitrary key (e.g. an aggregate document).
+ */
+async function withLock(key, fn) {
+    return getAdapter().withLock(key, fn);
+}
+
+/**
+ * JSON document helpers (aggregates, overrides, reports, ...) on the configured backend.
+ */
+async function getObject(key) {
+    return metrics.timeStorage('get_object', () => getAdapter().getObject(key));
+}
+
+async function putObject(key, value) {
+    return metrics.timeStorage('put_object', () => getAdapter().putObject(key, value));
+}
+
+async function listObjects(prefix) {
+    return metrics.timeStorage('list_objects', () => getAdapter().listObjects(prefix));
+}
+
+async function deleteObject(key) {
+    return metrics.timeStorage('delete_object', () => getAdapter().deleteObject(key));
+}
+
+/**
+ * Counts the number of unique IPs seen today.
+ * Efficient on Local Storage, SQLite and with READ_MODE=bigquery. Returns null for a GCS scan to avoid cost.
  */
 async function getUniqueIpCountToday() {
-    const dateStr = getTodayDateString();
+    const range = getDayRange();
+    return readWithFallback('count_unique_ips', async () => {
+        const [row] = await queryBigQuery(
+            `SELECT COUNT(DISTINCT COALESCE(ip_group, ip)) AS count FROM ${tableRef()} ` +
+            'WHERE ts BETWEEN DATETIME(@from) AND DATETIME(@to)', range);
+        return Number(row.count);
+    }, () => getAdapter().countUniqueIps(range));
+}
 
-    if (config.STORAGE_TYPE === 'local') {
-        const todayDir = path.join(config.LOCAL_DATA_DIR, 'ips', dateStr);
-        if (!fs.existsSync(todayDir)) return 0;
+/**
+ * READ_MODE=bigquery: the columns the queries need that the table lacks (a table created before
+ * they were added needs the migration in the README; until then every read falls back).
+ */
+async function missingBigQueryColumns() {
+    if (config.READ_MODE !== 'bigquery' || !bigquery) return [];
+    const [metadata] = await bigquery.dataset(config.DATASET_ID).table(config.TABLE_ID).getMetadata();
+    const fields = new Set(((metadata.schema && metadata.schema.fields) || []).map(field => field.name));
+    return BIGQUERY_COLUMNS.filter(column => !fields.has(column));
+}
 
-        try {
-            // Each IP is a subdirectory
-            const entries = fs.readdirSync(todayDir, { withFileTypes: true });
-            let count = 0;
-            for (const entry of entries) {
-                if (entry.isDirectory()) count++;
-            }
-            return count;
-        } catch (err) {
-            console.error('Error counting unique IPs:', err);
-            return 0;
+/**
+ * A day's runs for /summary from BigQuery: [{ ip, account, repo, workflow, runs }], one row per
+ * combination, counting distinct run_ids. Resolves to null unless READ_MODE=bigquery answered,
+ * and the caller then uses its aggregates.
+ */
+async function getRunCountsFromBigQuery(dateStr) {
+    const range = getDayRange(dateStr);
+    return readWithFallback('summary', async () => {
+        const rows = await queryBigQuery(
+            `SELECT ip, COALESCE(account_label, account) AS account, repo, workflow, COUNT(DISTINCT run_id) AS runs FROM ${tableRef()} ` +
+            'WHERE ts BETWEEN DATETIME(@from) AND DATETIME(@to) GROUP BY ip, account, repo, workflow', range);
+        return rows.map(row => ({ ...row, runs: Number(row.runs) }));
+    }, async () => null);
+}
+
+/**
+ * Validates READ_MODE at startup (table names can't be query parameters, so they are checked too).
+ */
+function validateConfig() {
+    if (!['storage', 'bigquery'].includes(config.READ_MODE)) {
+        throw new Error(`Unknown READ_MODE: ${config.READ_MODE}, expected "storage" or "bigquery"`);
+    }
+    if (config.READ_MODE !== 'bigquery') return;
+    for (const [name, value] of [['PROJECT_ID', config.PROJECT_ID], ['DATASET_ID', config.DATASET_ID], ['TABLE_ID', config.TABLE_ID]]) {
+        if (value !== undefined && !BIGQUERY_ID_RE.test(value)) {
+            throw new Error(`READ_MODE=bigquery: invalid ${name} "${value}"`);
         }
     }
-
-    // GCS: Listing prefixes is possible but expensive/slow. Returning null.
-    return null;
+    if (!bigquery) console.warn('READ_MODE=bigquery but BigQuery is not initialized; reading from storage.');
 }
 
 module.exports = {
+  getAdapter,
   appendToGCS,
   insertIntoBigQuery,
+  checkBigQuery,
   getRecordsForIpToday,
+  getRecordsForIpInRange,
   getUniqueIpCountToday,
-  cleanupGCS
+  getRunCountsFromBigQuery,
+  missingBigQueryColumns,
+  deleteRecordsForIp,
+  withIpLock,
+  withLock,
+  getObject,
+  putObject,
+  listObjects,
+  deleteObject,
+  cleanupGCS,
+  validateConfig
 };
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { readConfigFile } = require('./configfile');
+
+/**
+ * API token registry. Tokens come from API_TOKENS_FILE (JSON or YAML):
+ *
+ *   tokens:
+ *     - name: repo-a-2024-06
+ *       token_sha256: "<hex sha256 of the secret>"   # or `token: "<secret>"`
+ *       scopes: [ingest, gate]
+ *       expires_at: 2024-12-31T00:00:00Z              # optional
+ *       accounts: ["123456", "Account 1"]            # optional account binding
+ *       rate_limit: 120                              # optional, requests per RATE_LIMIT_WINDOW_SECONDS
+ *
+ * COLLECTOR_TOKEN, if set, stays valid as the "collector" token with every scope, so
+ * existing deployments keep working while secrets are rolled repo by repo.
+ */
+
+const SCOPES = ['ingest', 'gate', 'cleanup', 'admin', 'read'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+// Cache of the parsed token file, keyed by path so tests can swap API_TOKENS_FILE.
+let cache = { key: null, tokens: null };
+
+/**
+ * Parses and validates a token document (already decoded from JSON/YAML).
+ * Throws on invalid input so a broken file is never silently ignored.
+ */
+function normalizeTokens(doc) {
+    if (!doc || typeof doc !== 'object' || !Array.isArray(doc.tokens)) {
+        throw new Error('Token file must contain a "tokens" array');
+    }
+
+    const names = new Set();
+    return doc.tokens.map((entry, index) => {
+        const name = entry.name;
+        if (!name) throw new Error(`Token #${index + 1}: "name" is required`);
+        if (names.has(name)) throw new Error(`Token "${name}": duplicate name`);
+        names.add(name);
+
+        let hash;
+        if (entry.token_sha256) {
+            if (!/^[0-9a-f]{64}$/i.test(entry.token_sha256)) {
+                throw new Error(`Token "${name}": token_sha256 must be 64 hex characters`);
+            }
+            hash = Buffer.from(entry.token_sha256, 'hex');
+        } else if (entry.token) {
+            hash = sha256(entry.token);
+        } else {
+            throw new Error(`Token "${name}": one of "token" or "token_sha256" is required`);
+        }
+
+        const scopes = [].concat(entry.scopes || []);
+        if (scopes.length === 0) throw new Error(`Token "${name}": "scopes" must not be empty`);
+        for (const scope of scopes) {
+            if (!SCOPES.includes(scope)) {
+                throw new Error(`Token "${name}": unknown scope "${scope}", expected one of ${SCOPES.join(', ')}`);
+            }
+        }
+
+        let expiresAt = null;
+        if (entry.expires_at) {
+            expiresAt = new Date(entry.expires_at);
+            if (Number.isNaN(expiresAt.getTime())) {
+                throw new Error(`Token "${name}": expires_at must be an ISO timestamp`);
+            }
+        }
+
+        const accounts = entry.accounts ? [].concat(entry.accounts).map(String) : null;
+
+        let rateLimit = null;
+        if (entry.rate_limit !== undefined) {
+            rateLimit = Number(entry.rate_limit);
+            if (!Number.isInteger(rateLimit) || rateLimit < 0) {
+                throw new Error(`Token "${name}": rate_limit must be a non-negative integer`);
+            }
+        }
+
+        return { name, hash, scopes, expires_at: expiresAt, accounts, rate_limit: rateLimit };
+    });
+}
+
+/**
+ * Loads and validates an API_TOKENS_FILE (JSON or YAML).
+ */
+function loadTokenFile(filePath) {
+    return normalizeTokens(readConfigFile(filePath).doc);
+}
+
+/**
+ * Returns every configured token: API_TOKENS_FILE entries plus the legacy COLLECTOR_TOKEN.
+ */
+function getTokens() {
+    const file = config.API_TOKENS_FILE || null;
+    const key = `${file}|${config.COLLECTOR_TOKEN || ''}`;
+    if (cache.key !== key || !cache.tokens) {
+        const tokens = file ? loadTokenFile(file) : [];
+        if (config.COLLECTOR_TOKEN) {
+            tokens.push({
+                name: 'collector',
+                hash: sha256(config.COLLECTOR_TOKEN),
+                scopes: SCOPES,
+                expires_at: null,
+                accounts: null,
+                rate_limit: null,
+            });
+        }
+        cache = { key, tokens };
+    }
+    return cache.tokens;
+}
+
+/**
+ * Finds the token matching a presented secret. Every entry is compared in constant time.
+ * Returns the token entry (expired ones included, so callers can say why) or null.
+ */
+function findToken(secret) {
+    const presented = sha256(secret);
+    let found = null;
+    for (const token of getTokens()) {
+        if (crypto.timingSafeEqual(presented, token.hash) && !found) found = token;
+    }
+    return found;
+}
+
+const isExpired = (token, now = new Date()) => Boolean(token.expires_at && token.expires_at <= now);
+
+/**
+ * True if an account-bound token may act for the given account ids/labels: at least one must
+ * be supplied and every supplied one must be among the token's accounts.
+ * Unbound tokens may act for any account.
+ */
+function allowsAccount(token, ...candidates) {
+    if (!token.accounts) return true;
+    const supplied = candidates.filter(c => c !== undefined && c !== null && c !== '');
+    return supplied.length > 0 && supplied.every(c => token.accounts.includes(String(c)));
+}
+
+module.exports = {
+    SCOPES,
+    normalizeTokens,
+    loadTokenFile,
+    getTokens,
+    findToken,
+    isExpired,
+    allowsAccount,
+};
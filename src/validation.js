@@ -0,0 +1,63 @@
+const net = require('net');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+/**
+ * JSON Schema validation for the v2 API. Schemas live in src/schemas/ and are published
+ * at GET /v2/schemas/<name>.json so clients can validate before sending.
+ */
+
+const SCHEMAS = {
+    run: require('./schemas/run.v2.json'),
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv, ['date-time']);
+ajv.addFormat('ip', (value) => net.isIP(value) !== 0);
+
+const validators = Object.fromEntries(Object.entries(SCHEMAS).map(([name, schema]) => [name, ajv.compile(schema)]));
+
+// One Ajv error -> { field, message }, worded for API clients rather than schema authors.
+function toViolation(err) {
+    const field = err.instancePath.slice(1).replace(/\//g, '.');
+    switch (err.keyword) {
+        case 'required':
+            return { field: err.params.missingProperty, message: 'is required' };
+        case 'additionalProperties':
+            return { field: err.params.additionalProperty, message: 'is not allowed' };
+        case 'format':
+            return { field, message: err.params.format === 'ip' ? 'must be an IPv4 or IPv6 address' : 'must be an ISO 8601 date-time with a time zone' };
+        case 'type':
+            return { field: field || '(body)', message: `must be ${[].concat(err.params.type).join(' or ')}` };
+        default:
+            return { field, message: err.message };
+    }
+}
+
+/**
+ * Validates `body` against a named schema. Returns a list of violations (empty when valid).
+ */
+function validate(name, body) {
+    const check = validators[name];
+    if (!check) throw new Error(`Unknown schema: ${name}`);
+    if (check(body)) return [];
+    return check.errors.map(toViolation);
+}
+
+/**
+ * Middleware: rejects a body that does not match `name` with
+ * 400 { error, violations: [{ field, message }] }.
+ */
+const requireValid = (name) => (req, res, next) => {
+    const violations = validate(name, req.body);
+    if (violations.length) {
+        return res.status(400).json({ error: 'Invalid request body', violations });
+    }
+    next();
+};
+
+module.exports = {
+    SCHEMAS,
+    validate,
+    requireValid,
+};
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Admin API', () => {
+  const token = 'test-token-admin';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-admin');
+  const TEST_IP = '10.4.0.1';
+  const today = new Date().toISOString().split('T')[0];
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const ingest = (body) => request(app).post('/ingest').set(validHeaders).send(body);
+  const gate = (body) => request(app).post('/gate').set(validHeaders).send(body);
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('lists an IP\'s records across days', async () => {
+    await ingest({ ip: TEST_IP, run_id: 'y1', ts: `${yesterday}T10:00:00Z` });
+    await ingest({ ip: TEST_IP, run_id: 't1', ts: `${today}T00:10:00Z` });
+    await ingest({ ip: TEST_IP, run_id: 't2', ts: `${today}T00:20:00Z` });
+
+    const res = await request(app).get(`/admin/ips/${TEST_IP}/records`).set(validHeaders);
+    expect(res.status).toBe(200);
+    expect(res.body.records.map(r => r.run_id)).toEqual(['y1', 't1', 't2']);
+
+    const bad = await request(app).get(`/admin/ips/${TEST_IP}/records?from=nope`).set(validHeaders);
+    expect(bad.status).toBe(400);
+  });
+
+  it('deletes a specific run_id so the gate decision changes', async () => {
+    let res = await gate({ ip: TEST_IP, run_id: 't2', ts: `${today}T00:20:00Z` });
+    expect(res.body.reason).toBe('gap_not_satisfied');
+
+    const del = await request(app).delete(`/admin/ips/${TEST_IP}/records/t1`).set(validHeaders);
+    expect(del.body).toEqual({ ip: TEST_IP, run_id: 't1', deleted: 1 });
+
+    res = await gate({ ip: TEST_IP, run_id: 't2', ts: `${today}T00:20:00Z` });
+    expect(res.body.should_run).toBe(true);
+
+    const missing = await request(app).delete(`/admin/ips/${TEST_IP}/records/t1`).set(validHeaders);
+    expect(missing.status).toBe(404);
+  });
+
+  it('resets an IP\'s counters for a day', async () => {
+    const res = await request(app).post(`/admin/ips/${TEST_IP}/reset`).set(validHeaders);
+    expect(res.body).toEqual({ ip: TEST_IP, date: today, deleted: 1 });
+
+    const list = await request(app).get(`/admin/ips/${TEST_IP}/records`).set(validHeaders);
+    expect(list.body.records.map(r => r.run_id)).toEqual(['y1']);
+  });
+
+  describe('overrides', () => {
+    const ip = '10.4.0.2';
+
+    it('forces should_run false and shows it in the reason', async () => {
+      const put = await request(app).put(`/admin/ips/${ip}/override`).set(validHeaders)
+        .send({ should_run: false, ttl_minutes: 30, note: 'abuse report' });
+      expect(put.status).toBe(200);
+
+      await ingest({ ip, run_id: 'o1', ts: new Date().toISOString() });
+      const res = await gate({ ip, run_id: 'o1', ts: new Date().toISOString() });
+      expect(res.body.should_run).toBe(false);
+      expect(res.body.reason).toBe('override_block');
+      expect(res.body.override.note).toBe('abuse report');
+
+      const list = await request(app).get('/admin/overrides').set(validHeaders);
+      expect(list.body.overrides.map(o => o.ip)).toContain(ip);
+    });
+
+    it('checks the override against the server clock, not the client ts', async () => {
+      const future = '2099-01-01T00:00:00Z';
+      await ingest({ ip, run_id: 'o1-future', ts: future });
+      const res = await gate({ ip, run_id: 'o1-future', ts: future });
+      expect(res.body.should_run).toBe(false);
+      expect(res.body.reason).toBe('override_block');
+    });
+
+    it('forces should_run true over a policy block', async () => {
+      await ingest({ ip, run_id: 'o2', ts: new Date().toISOString() });
+      let res = await gate({ ip, run_id: 'o2', ts: new Date().toISOString() });
+      expect(res.body.reason).toBe('override_block');
+
+      await request(app).put(`/admin/ips/${ip}/override`).set(validHeaders).send({ should_run: true, ttl_minutes: 5 });
+      res = await gate({ ip, run_id: 'o2', ts: new Date().toISOString() });
+      expect(res.body.should_run).toBe(true);
+      expect(res.body.reason).toBe('override_allow');
+    });
+
+    it('stops applying once cleared or expired', async () => {
+      await request(app).delete(`/admin/ips/${ip}/override`).set(validHeaders);
+      const res = await gate({ ip, run_id: 'o2', ts: new Date().toISOString() });
+      expect(res.body.reason).toBe('gap_not_satisfied');
+      expect((await request(app).get(`/admin/ips/${ip}/override`).set(validHeaders)).status).toBe(404);
+    });
+
+    it('requires a bounded expiry', async () => {
+      const noTtl = await request(app).put(`/admin/ips/${ip}/override`).set(validHeaders).send({ should_run: true });
+      expect(noTtl.status).toBe(400);
+      const tooLong = await request(app).put(`/admin/ips/${ip}/override`).set(validHeaders)
+        .send({ should_run: true, ttl_minutes: 60 * 24 * 365 });
+      expect(tooLong.status).toBe(400);
+    });
+  });
+});
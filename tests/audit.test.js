@@ -0,0 +1,78 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const audit = require('../src/audit');
+const storage = require('../src/storage');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Gate decision audit log', () => {
+  const token = 'test-token-audit';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-audit');
+  const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+  const send = (route, body) => request(app).post(route).set(validHeaders).send(body);
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    await send('/reserve', { ip: '10.60.0.1', run_id: '122', account: 'acc-1', workflow: 'Build' });
+    await send('/reserve', { ip: '10.60.0.1', run_id: '123', account: 'acc-1', account_label: 'Account 1' });
+    await send('/reserve', { ip: '10.60.0.2', run_id: '124', account: 'acc-2' });
+    await settle();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('answers "why was run 123 blocked?"', async () => {
+    const res = await request(app).get('/audit?run_id=123').set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.count).toBe(1);
+    expect(res.body.entries[0]).toMatchObject({
+      ip: '10.60.0.1',
+      run_id: '123',
+      mode: 'reserve',
+      should_run: false,
+      reason: 'gap_not_satisfied',
+      policy: 'default',
+      uses_today: 2,
+      fail_open: false,
+      token: 'collector',
+    });
+  });
+
+  it('filters by ip, account (id or label) and date', async () => {
+    const byIp = await request(app).get('/audit?ip=10.60.0.1').set(validHeaders);
+    expect(byIp.body.entries.map(e => e.run_id)).toEqual(['122', '123']);
+
+    const byLabel = await request(app).get('/audit?account=Account 1').set(validHeaders);
+    expect(byLabel.body.entries.map(e => e.run_id)).toEqual(['123']);
+
+    const otherDay = await request(app).get('/audit?date=2020-01-01').set(validHeaders);
+    expect(otherDay.body.count).toBe(0);
+
+    expect((await request(app).get('/audit?date=yesterday').set(validHeaders)).statusCode).toBe(400);
+  });
+
+  it('flags fail-open decisions', async () => {
+    jest.spyOn(storage, 'getRecordsForIpToday').mockRejectedValueOnce(new Error('storage down'));
+    const res = await send('/gate', { ip: '10.60.0.3', run_id: '125' });
+    expect(res.body.reason).toBe('error_fail_open');
+    await settle();
+
+    const { entries } = await audit.queryDecisions(audit.parseAuditQuery({ ip: '10.60.0.3' }));
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({ fail_open: true, should_run: true, error: 'storage down' });
+  });
+});
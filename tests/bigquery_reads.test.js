@@ -0,0 +1,184 @@
+const request = require('supertest');
+const { BigQuery } = require('@google-cloud/bigquery');
+const app = require('../src/app');
+const config = require('../src/config');
+const storage = require('../src/storage');
+const aggregates = require('../src/aggregates');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('BigQuery read path', () => {
+  const token = 'test-token-bq-reads';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-bq-reads');
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+  // DATETIME values as the client returns them: UTC, no zone, microseconds
+  const bqRow = (run_id, ts) => ({
+    ip: '10.80.0.1', ip_group: null, ts: { value: ts.toISOString().replace('Z', '000') },
+    run_id, account: 'acc-1', account_label: null, repo: 'org/repo', workflow: 'Build', job: null, country: null, asn: null,
+  });
+  const gate = (ip, run_id) => request(app).post('/gate').set(validHeaders).send({ ip, run_id });
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    config.READ_MODE = 'bigquery';
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    BigQuery.prototype.query.mockReset();
+  });
+
+  afterAll(() => {
+    config.READ_MODE = 'storage';
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('decides /gate from one parameterized query instead of the file scan', async () => {
+    // The earlier run has to be from today (UTC)
+    const earlier = new Date().getUTCHours() >= 1 ? hoursAgo(1) : hoursAgo(1 / 60);
+    BigQuery.prototype.query.mockResolvedValue([[bqRow('bq-1', earlier), bqRow('bq-2', new Date())]]);
+
+    const res = await gate('10.80.0.1', 'bq-2');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ should_run: false, reason: 'gap_not_satisfied', uses_today: 2 });
+
+    const [options] = BigQuery.prototype.query.mock.calls[0];
+    expect(options.query).toMatch(/COALESCE\(ip_group, ip\) = @key AND ts BETWEEN DATETIME\(@from\) AND DATETIME\(@to\)/);
+    expect(options.params).toMatchObject({ key: '10.80.0.1', from: expect.any(Date), to: expect.any(Date) });
+    expect(options.jobTimeoutMs).toBe(config.BIGQUERY_READ_TIMEOUT_MS);
+  });
+
+  it('returns BigQuery rows as records', async () => {
+    const ts = hoursAgo(0);
+    BigQuery.prototype.query.mockResolvedValue([[bqRow('bq-3', ts)]]);
+    expect(await storage.getRecordsForIpToday('10.80.0.1')).toEqual([
+      { ip: '10.80.0.1', ts: ts.toISOString(), run_id: 'bq-3', account: 'acc-1', repo: 'org/repo', workflow: 'Build' },
+    ]);
+  });
+
+  it('queries the network with prefix grouping', async () => {
+    config.IP_GROUP_PREFIX_V4 = 24;
+    BigQuery.prototype.query.mockResolvedValue([[]]);
+    try {
+      await storage.getRecordsForIpToday('10.80.0.77');
+    } finally {
+      config.IP_GROUP_PREFIX_V4 = 32;
+    }
+    expect(BigQuery.prototype.query.mock.calls[0][0].params.key).toBe('10.80.0.0/24');
+  });
+
+  it('counts unique IPs in BigQuery', async () => {
+    BigQuery.prototype.query.mockResolvedValue([[{ count: 7 }]]);
+    expect(await storage.getUniqueIpCountToday()).toBe(7);
+    expect(BigQuery.prototype.query.mock.calls[0][0].query).toMatch(/COUNT\(DISTINCT COALESCE\(ip_group, ip\)\)/);
+  });
+
+  it('answers /summary run counts from BigQuery and decisions from the aggregates', async () => {
+    await aggregates.recordDecision('10.80.0.1', { should_run: true, reason: '' });
+    BigQuery.prototype.query.mockResolvedValue([[
+      { ip: '10.80.0.1', account: 'Account 1', repo: 'org/repo', workflow: 'Build', runs: 2 },
+      { ip: '10.80.0.5', account: null, repo: 'org/other', workflow: 'Build', runs: 1 },
+    ]]);
+    const date = new Date().toISOString().split('T')[0];
+    const res = await request(app).get(`/summary?date=${date}`).set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      total_runs: 3,
+      unique_ips: 2,
+      runs_by_account: { 'Account 1': 2, unknown: 1 },
+      runs_by_repo: { 'org/repo': 2, 'org/other': 1 },
+      runs_by_workflow: { Build: 3 },
+      top_reused_ips: [{ ip: '10.80.0.1', runs: 2 }],
+    });
+    expect(res.body.decisions.allowed).toBeGreaterThan(0);
+    const [options] = BigQuery.prototype.query.mock.calls[0];
+    expect(options.query).toMatch(/COUNT\(DISTINCT run_id\) AS runs .* GROUP BY ip, account, repo, workflow/);
+    expect(options.params).toMatchObject({ from: new Date(`${date}T00:00:00.000Z`) });
+  });
+
+  it('keeps /reserve on storage so it sees the run it just stored', async () => {
+    const first = await request(app).post('/reserve').set(validHeaders).send({ ip: '10.80.0.2', run_id: 'r-1' });
+    const second = await request(app).post('/reserve').set(validHeaders).send({ ip: '10.80.0.2', run_id: 'r-2' });
+
+    expect(first.body.should_run).toBe(true);
+    expect(second.body).toMatchObject({ should_run: false, reason: 'gap_not_satisfied' });
+    expect(BigQuery.prototype.query).not.toHaveBeenCalled();
+  });
+
+  it('reads storage only when READ_MODE=storage', async () => {
+    config.READ_MODE = 'storage';
+    try {
+      const res = await gate('10.80.0.2', 'r-3');
+      expect(res.body).toMatchObject({ should_run: false, reason: 'gap_not_satisfied', uses_today: 2 });
+    } finally {
+      config.READ_MODE = 'bigquery';
+    }
+    expect(BigQuery.prototype.query).not.toHaveBeenCalled();
+  });
+
+  it('reads storage when BigQuery does not have the gated run yet', async () => {
+    // Ingested, but its row is still on its way to BigQuery
+    await request(app).post('/ingest').set(validHeaders).send({ ip: '10.80.0.4', run_id: 'just-ingested', ts: new Date().toISOString() });
+    BigQuery.prototype.query.mockResolvedValue([[]]);
+
+    const res = await gate('10.80.0.4', 'just-ingested');
+    expect(res.body).toMatchObject({ should_run: true, uses_today: 1 });
+    expect(BigQuery.prototype.query).toHaveBeenCalledTimes(1);
+
+    // Not a BigQuery failure: the next read still tries it first
+    BigQuery.prototype.query.mockResolvedValue([[bqRow('bq-9', new Date())]]);
+    await storage.getRecordsForIpToday('10.80.0.1');
+    expect(BigQuery.prototype.query).toHaveBeenCalledTimes(2);
+  });
+
+  it('falls back to the file scan when BigQuery fails, then skips it for a while', async () => {
+    BigQuery.prototype.query.mockRejectedValue(new Error('Access Denied: Table ip_data.ip_observations'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await gate('10.80.0.2', 'r-4');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ should_run: false, reason: 'gap_not_satisfied', uses_today: 2 });
+    expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/BigQuery Read Error/), expect.stringMatching(/Access Denied/));
+
+    expect((await gate('10.80.0.2', 'r-1')).body).toMatchObject({ should_run: true });
+    expect(BigQuery.prototype.query).toHaveBeenCalledTimes(1);
+    console.error.mockRestore();
+  });
+
+  it('lists the columns a table still needs before BigQuery reads work', async () => {
+    const fields = ['account', 'repo', 'run_id', 'job', 'ip', 'ts', 'country', 'asn'].map(name => ({ name }));
+    BigQuery.prototype.dataset.mockReturnValue({
+      table: () => ({ getMetadata: jest.fn().mockResolvedValue([{ schema: { fields } }]) }),
+    });
+    expect(await storage.missingBigQueryColumns()).toEqual(['ip_group', 'account_label', 'workflow']);
+
+    config.READ_MODE = 'storage';
+    try {
+      expect(await storage.missingBigQueryColumns()).toEqual([]);
+    } finally {
+      config.READ_MODE = 'bigquery';
+    }
+  });
+
+  it('validates READ_MODE and the table identifiers', () => {
+    expect(() => storage.validateConfig()).not.toThrow();
+    config.READ_MODE = 'sql';
+    expect(() => storage.validateConfig()).toThrow(/Unknown READ_MODE/);
+    config.READ_MODE = 'bigquery';
+    config.TABLE_ID = 'ip_observations` WHERE 1=1 --';
+    try {
+      expect(() => storage.validateConfig()).toThrow(/invalid TABLE_ID/);
+    } finally {
+      config.TABLE_ID = 'ip_observations';
+    }
+  });
+});
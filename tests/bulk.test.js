@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const storage = require('../src/storage');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Bulk ingest', () => {
+  const token = 'test-token-bulk';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-bulk');
+  const tokenFile = path.join(__dirname, 'test-tokens-bulk.json');
+  const readTokenFile = path.join(__dirname, 'test-tokens-bulk-read.json');
+  const ts = '2024-05-01T10:00:00Z';
+  const ndjson = (lines) => lines.map(l => (typeof l === 'string' ? l : JSON.stringify(l))).join('\n');
+  const post = (body, type = 'application/x-ndjson', headers = validHeaders) =>
+    request(app).post('/v2/ingest/bulk').set(headers).set('Content-Type', type).send(body);
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    config.BULK_MAX_RECORDS = 1000;
+    config.API_TOKENS_FILE = undefined;
+  });
+
+  afterAll(() => {
+    fs.rmSync(tokenFile, { force: true });
+    fs.rmSync(readTokenFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('stores valid lines and reports every line', async () => {
+    const res = await post(ndjson([
+      { ip: '10.50.0.1', run_id: 'b1', ts, account_label: 'Account 1' },
+      { ip: 'unknown', run_id: 'b2', ts },
+      '{not json',
+      '',
+      { ip: '10.50.0.1', run_id: 'b1', ts },
+      { ip: '10.50.0.2', run_id: 'b3', ts },
+    ]));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ received: 5, stored: 2, duplicates: 1, invalid: 2, forbidden: 0, failed: 0 });
+    expect(res.body.results).toEqual([
+      { line: 1, status: 'stored', run_id: 'b1' },
+      { line: 2, status: 'invalid', run_id: 'b2', violations: [{ field: 'ip', message: 'must be an IPv4 or IPv6 address' }] },
+      { line: 3, status: 'invalid', violations: [{ field: '(line)', message: 'is not valid JSON' }] },
+      { line: 5, status: 'duplicate', run_id: 'b1' },
+      { line: 6, status: 'stored', run_id: 'b3' },
+    ]);
+
+    const from = new Date('2024-05-01T00:00:00Z');
+    const to = new Date('2024-05-01T23:59:59Z');
+    const stored = await storage.getRecordsForIpInRange('10.50.0.1', from, to);
+    expect(stored).toEqual([expect.objectContaining({ run_id: 'b1', ts, account_label: 'Account 1' })]);
+  });
+
+  it('accepts a JSON array and skips runs that are already stored', async () => {
+    const res = await post([{ ip: '10.50.0.1', run_id: 'b1', ts }, { ip: '10.50.0.1', run_id: 'b4', ts }], 'application/json');
+
+    expect(res.body).toMatchObject({ received: 2, stored: 1, duplicates: 1 });
+    expect(res.body.results.map(r => r.status)).toEqual(['duplicate', 'stored']);
+  });
+
+  it('rejects oversized and unreadable batches', async () => {
+    config.BULK_MAX_RECORDS = 2;
+    const tooMany = await post(ndjson([1, 2, 3].map(i => ({ ip: '10.50.0.3', run_id: `x${i}` }))));
+    expect(tooMany.statusCode).toBe(413);
+
+    expect((await post('[{"ip":', 'application/json')).statusCode).toBe(400);
+    expect((await post('\n\n')).statusCode).toBe(400);
+  });
+
+  it('authenticates before reading the batch', async () => {
+    fs.writeFileSync(readTokenFile, JSON.stringify({
+      tokens: [{ name: 'reader', token: 'bulk-read', scopes: ['read'] }],
+    }));
+    config.API_TOKENS_FILE = readTokenFile;
+    config.BULK_MAX_RECORDS = 1;
+    // Over the size cap, so reading it would answer 413
+    const oversized = ndjson(Array.from({ length: 5 }, (_, i) => ({ ip: '10.50.0.4', run_id: `a${i}`, pad: 'x'.repeat(2048) })));
+
+    expect((await post(oversized, 'application/x-ndjson', {})).statusCode).toBe(401);
+    expect((await post(oversized, 'application/x-ndjson', { Authorization: 'Bearer nope' })).statusCode).toBe(403);
+    const noScope = await post(oversized, 'application/x-ndjson', { Authorization: 'Bearer bulk-read' });
+    expect(noScope.statusCode).toBe(403);
+    expect(noScope.body.error).toMatch(/lacks scope "ingest"/);
+
+    expect((await post(oversized)).statusCode).toBe(413);
+  });
+
+  it('checks account-bound tokens per record', async () => {
+    fs.writeFileSync(tokenFile, JSON.stringify({
+      tokens: [{ name: 'importer', token: 'bulk-bound', scopes: ['ingest'], accounts: ['Account 1'] }],
+    }));
+    config.API_TOKENS_FILE = tokenFile;
+
+    const res = await post(ndjson([
+      { ip: '10.50.0.5', run_id: 'c1', ts, account_label: 'Account 1' },
+      { ip: '10.50.0.5', run_id: 'c2', ts, account_label: 'Account 2' },
+    ]), 'application/x-ndjson', { Authorization: 'Bearer bulk-bound' });
+
+    expect(res.body.results.map(r => r.status)).toEqual(['stored', 'forbidden']);
+  });
+});
@@ -0,0 +1,116 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../src/app');
+const config = require('../src/config');
+const { main } = require('../src/cli');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Operator CLI', () => {
+  const token = 'test-token-cli';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-cli');
+  const exportFile = path.join(__dirname, 'test-export-cli.ndjson');
+  const today = new Date().toISOString().split('T')[0];
+
+  const run = async (...argv) => {
+    const io = { out: '', err: '' };
+    const code = await main(argv, {
+      out: { write: (chunk) => { io.out += chunk; return true; }, on() {}, once() {}, emit() {}, end() {} },
+      err: { write: (chunk) => { io.err += chunk; } },
+    });
+    return { code, ...io };
+  };
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.20.0.1', run_id: 'c1', account_label: 'Account 1' });
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.20.0.1', run_id: 'c2', account_label: 'Account 1' });
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.20.0.2', run_id: 'c3', account_label: 'Account 2' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(exportFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('lists IPs for a day and an IP\'s records', async () => {
+    const ips = JSON.parse((await run('ips')).out);
+    expect(ips).toMatchObject({ date: today, count: 2 });
+    expect(ips.ips[0]).toMatchObject({ ip: '10.20.0.1', runs: 2 });
+
+    const records = JSON.parse((await run('records', '10.20.0.1', '--from', today)).out);
+    expect(records.records.map(r => r.run_id)).toEqual(['c1', 'c2']);
+  });
+
+  it('decides a hypothetical run without storing it', async () => {
+    const first = JSON.parse((await run('gate', '10.20.0.2', '--run-id', 'what-if')).out);
+    expect(first).toMatchObject({ run_id: 'what-if', should_run: false, reason: 'gap_not_satisfied', uses_today: 2 });
+
+    const fresh = JSON.parse((await run('gate', '10.20.0.9')).out);
+    expect(fresh).toMatchObject({ should_run: true, policy: 'default' });
+
+    const records = JSON.parse((await run('records', '10.20.0.2')).out);
+    expect(records.count).toBe(1);
+  });
+
+  it('decides like /gate for grouped IPs, including the group\'s override', async () => {
+    config.IP_GROUP_PREFIX_V4 = 24;
+    try {
+      await request(app).put('/admin/ips/10.30.0.5/override').set(validHeaders)
+        .send({ should_run: false, ttl_minutes: 60, note: 'abuse' });
+
+      const cli = JSON.parse((await run('gate', '10.30.0.9', '--run-id', 'g1')).out);
+      expect(cli).toMatchObject({ should_run: false, reason: 'override_block', ip_group: '10.30.0.0/24' });
+
+      const api = await request(app).post('/gate').set(validHeaders).send({ ip: '10.30.0.9', run_id: 'g1' });
+      expect(api.body).toMatchObject({ should_run: false, reason: 'override_block', ip_group: '10.30.0.0/24' });
+    } finally {
+      config.IP_GROUP_PREFIX_V4 = 32;
+    }
+  });
+
+  it('exports to a file', async () => {
+    const res = await run('export', '--format', 'ndjson', '--account', 'Account 1', '--out', exportFile);
+    expect(res.code).toBe(0);
+    expect(res.err).toContain('Exported 2 record(s)');
+    const lines = fs.readFileSync(exportFile, 'utf8').trim().split('\n').map(JSON.parse);
+    expect(lines.map(r => r.run_id)).toEqual(['c1', 'c2']);
+  });
+
+  it('counts expired records on a dry run without deleting them', async () => {
+    const retention = config.RETENTION_HOURS;
+    config.RETENTION_HOURS = -1;
+    const dry = JSON.parse((await run('cleanup', '--dry-run')).out);
+    config.RETENTION_HOURS = retention;
+
+    expect(dry).toMatchObject({ dry_run: true, records: { deleted: 3, failed: 0 } });
+    expect(JSON.parse((await run('ips')).out).count).toBe(2);
+  });
+
+  it('generates tokens and secrets', async () => {
+    const { out } = await run('token', '--name', 'repo-a', '--scopes', 'ingest,gate');
+    const secret = out.match(/shown once\): (\S+)/)[1];
+    const sha = crypto.createHash('sha256').update(secret).digest('hex');
+    expect(out).toContain(`token_sha256: "${sha}"`);
+    expect(out).toContain('scopes: [ingest, gate]');
+
+    expect((await run('secret')).out).toMatch(/^[0-9a-f]{64}\n$/);
+  });
+
+  it('reports usage errors with exit code 2', async () => {
+    expect((await run('records')).code).toBe(2);
+    expect((await run('ips', '--date', 'yesterday')).code).toBe(2);
+    expect((await run('nope')).code).toBe(2);
+    expect((await run('token', '--scopes', 'root')).err).toMatch(/Unknown scope/);
+  });
+});
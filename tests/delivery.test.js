@@ -0,0 +1,121 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../src/app');
+const config = require('../src/config');
+const delivery = require('../src/delivery');
+const storage = require('../src/storage');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('axios');
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Delivery queue', () => {
+  const token = 'test-token-delivery';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-delivery');
+  const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+  const later = (seconds) => new Date(Date.now() + seconds * 1000);
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.EXTERNAL_SINK_URL = 'https://sink.test/ingest';
+    config.EXTERNAL_SINK_TOKEN = 'sink-secret';
+    config.DELIVERY_MAX_ATTEMPTS = 3;
+    config.DELIVERY_BACKOFF_BASE_SECONDS = 10;
+    config.DELIVERY_BACKOFF_MAX_SECONDS = 25;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    axios.post.mockReset();
+  });
+
+  afterAll(() => {
+    config.EXTERNAL_SINK_URL = undefined;
+    config.EXTERNAL_SINK_TOKEN = undefined;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('backs off exponentially up to the cap', () => {
+    expect([1, 2, 3, 4].map(delivery.backoffMs)).toEqual([10000, 20000, 25000, 25000]);
+  });
+
+  it('queues a failed sink forward and retries it once due', async () => {
+    axios.post.mockRejectedValueOnce(new Error('ECONNRESET'));
+    await request(app).post('/ingest').set(validHeaders).send({ ip: '10.80.0.1', run_id: 'q1' });
+    await settle();
+
+    const [pending] = await delivery.listDeliveries('pending');
+    expect(pending).toMatchObject({ target: 'sink', attempts: 1, last_error: 'ECONNRESET' });
+    expect(pending.payload.run_id).toBe('q1');
+
+    // Not due yet
+    expect(await delivery.processDue()).toEqual({ processed: 0, delivered: 0, failed: 0 });
+
+    axios.post.mockResolvedValueOnce({ status: 200 });
+    expect(await delivery.processDue(later(11))).toEqual({ processed: 1, delivered: 1, failed: 0 });
+    expect(await delivery.listDeliveries('pending')).toEqual([]);
+  });
+
+  it('stores a delivery before its first attempt and removes it once sent', async () => {
+    let queuedDuringAttempt;
+    axios.post.mockImplementationOnce(async () => {
+      queuedDuringAttempt = await delivery.listDeliveries('pending');
+      return { status: 200 };
+    });
+    await delivery.deliver({ target: 'sink', url: 'https://sink.test/ingest', payload: { run_id: 'p1' } });
+
+    // Survives a crash mid-attempt, but isn't due for the workers while the attempt runs
+    expect(queuedDuringAttempt).toHaveLength(1);
+    expect(queuedDuringAttempt[0]).toMatchObject({ target: 'sink', attempts: 0 });
+    expect(new Date(queuedDuringAttempt[0].next_attempt_at) > later(config.DELIVERY_TIMEOUT_MS / 1000)).toBe(true);
+    expect(await delivery.listDeliveries('pending')).toEqual([]);
+  });
+
+  it('still makes the first attempt when the queue cannot be written', async () => {
+    const spy = jest.spyOn(storage, 'putObject').mockRejectedValue(new Error('storage down'));
+    axios.post.mockResolvedValueOnce({ status: 200 });
+
+    try {
+      await expect(delivery.deliver({ target: 'sink', url: 'https://sink.test/ingest', payload: {} })).resolves.toBeUndefined();
+    } finally {
+      spy.mockRestore();
+    }
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+
+  it('dead-letters after max attempts and re-drives through the admin API', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { status: 503 } }));
+    await request(app).post('/ingest').set(validHeaders).send({ ip: '10.80.0.2', run_id: 'q2' });
+    await settle();
+
+    await delivery.processDue(later(11));
+    await delivery.processDue(later(60));
+
+    expect(await delivery.listDeliveries('pending')).toEqual([]);
+    const dead = await request(app).get('/admin/deliveries?status=dead').set(validHeaders);
+    expect(dead.body.count).toBe(1);
+    expect(dead.body.deliveries[0]).toMatchObject({ target: 'sink', attempts: 3, last_error: 'HTTP 503' });
+    // The sink token and webhook paths are not shown to admins
+    expect(dead.body.deliveries[0]).toMatchObject({
+      url: 'https://sink.test/[redacted]',
+      headers: { Authorization: '[redacted]' },
+    });
+    expect(JSON.stringify(dead.body)).not.toMatch(/sink-secret/);
+
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ status: 200 });
+    const id = dead.body.deliveries[0].id;
+    const res = await request(app).post(`/admin/deliveries/${id}/redrive`).set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ id, delivered: 1 });
+    expect(await delivery.listDeliveries('dead')).toEqual([]);
+
+    expect((await request(app).post('/admin/deliveries/nope/redrive').set(validHeaders)).statusCode).toBe(404);
+    expect((await request(app).get('/admin/deliveries?status=lost').set(validHeaders)).statusCode).toBe(400);
+  });
+});
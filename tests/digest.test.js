@@ -0,0 +1,91 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../src/app');
+const config = require('../src/config');
+const digest = require('../src/digest');
+const storage = require('../src/storage');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('axios');
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Daily digest', () => {
+  const token = 'test-token-digest';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-digest');
+  const notifierFile = path.join(__dirname, 'test-notifiers-digest.json');
+  const today = new Date().toISOString().split('T')[0];
+  const reserve = (body) => request(app).post('/reserve').set(validHeaders).send(body);
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+    fs.writeFileSync(notifierFile, JSON.stringify({
+      notifiers: [
+        { name: 'leads', type: 'slack', url: 'https://slack.test/digest', events: ['digest'] },
+        { name: 'per-run', type: 'slack', url: 'https://slack.test/runs', events: ['allowed', 'blocked'] },
+      ],
+    }));
+    axios.post.mockResolvedValue({ status: 200 });
+
+    await reserve({ ip: '10.90.0.1', run_id: 'g1', account_label: 'Account 1' });
+    await reserve({ ip: '10.90.0.1', run_id: 'g2', account_label: 'Account 2' });
+    await reserve({ ip: '10.90.0.2', run_id: 'g3', account_label: 'Account 1' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    config.NOTIFIERS_FILE = notifierFile;
+  });
+
+  afterAll(() => {
+    config.NOTIFIERS_FILE = undefined;
+    fs.rmSync(notifierFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('summarizes a day, saves the report and sends it to digest notifiers only', async () => {
+    axios.post.mockClear();
+    const res = await request(app).post(`/digest?date=${today}`).set(validHeaders);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      date: today,
+      total_runs: 3,
+      unique_ips: 2,
+      allowed: 2,
+      blocked: 1,
+      blocked_by_reason: { gap_not_satisfied: 1 },
+      top_reused_ips: [{ ip: '10.90.0.1', runs: 2 }],
+      runs_by_account: { 'Account 1': 2, 'Account 2': 1 },
+    });
+
+    expect(await storage.getObject(digest.reportKey(today))).toEqual(res.body);
+
+    const urls = axios.post.mock.calls.map(([url]) => url);
+    expect(urls).toEqual(['https://slack.test/digest']);
+    const { text } = axios.post.mock.calls[0][1];
+    expect(text).toContain(`📊 Daily Digest ${today}: 3 runs from 2 IPs, 1 blocked (gap_not_satisfied: 1)`);
+    expect(text).toContain('Most reused IPs: 10.90.0.1: 2');
+  });
+
+  it('defaults to yesterday and validates the date', async () => {
+    const res = await request(app).post('/digest').set(validHeaders);
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    expect(res.body).toMatchObject({ date: yesterday, total_runs: 0 });
+
+    expect((await request(app).post('/digest?date=2024-13-45').set(validHeaders)).statusCode).toBe(400);
+  });
+
+  it('rejects a malformed DIGEST_AT_UTC', () => {
+    config.DIGEST_AT_UTC = '7am';
+    expect(() => digest.validateConfig()).toThrow(/HH:MM/);
+    config.DIGEST_AT_UTC = '07:00';
+    expect(() => digest.validateConfig()).not.toThrow();
+    config.DIGEST_AT_UTC = undefined;
+  });
+});
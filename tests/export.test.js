@@ -0,0 +1,117 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const exporter = require('../src/export');
+const { Writable } = require('stream');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('GET /export', () => {
+  const token = 'test-token-export';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-export');
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    const ingest = (body) => request(app).post('/ingest').set(validHeaders).send(body);
+    await ingest({ ip: '10.3.0.1', run_id: 'e1', ts: '2023-02-01T01:00:00Z', account: 'a1', account_label: 'Account 1', repo: 'org/app', workflow: 'Build' });
+    await ingest({ ip: '10.3.0.2', run_id: 'e2', ts: '2023-02-01T02:00:00Z', account: 'a2', account_label: 'Account 2', repo: 'org/app', workflow: 'Lint' });
+    await ingest({ ip: '10.3.0.1', run_id: 'e3', ts: '2023-02-02T01:00:00Z', account: 'a1', account_label: 'Account 1', repo: 'org/other', workflow: 'Build' });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('exports a date range as CSV with default columns', async () => {
+    const res = await request(app).get('/export?from=2023-02-01&to=2023-02-02').set(validHeaders);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/actionip-2023-02-01_2023-02-02\.csv/);
+    const lines = res.text.trim().split('\n');
+    expect(lines[0]).toBe('ts,ip,account,account_label,repo,workflow,job,run_id');
+    expect(lines.length).toBe(4);
+    expect(lines[1]).toContain('e1');
+  });
+
+  it('exports NDJSON with filters and selected columns', async () => {
+    const res = await request(app)
+      .get('/export?from=2023-02-01&to=2023-02-02&format=ndjson&account=Account 1&columns=ip,run_id')
+      .set(validHeaders);
+
+    expect(res.headers['content-type']).toMatch(/application\/x-ndjson/);
+    const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows).toEqual([
+      { ip: '10.3.0.1', run_id: 'e1' },
+      { ip: '10.3.0.1', run_id: 'e3' },
+    ]);
+  });
+
+  it('waits for a slow NDJSON reader instead of buffering the export', async () => {
+    let buffered = 0;
+    const lines = [];
+    const slow = new Writable({
+      highWaterMark: 1,
+      write(chunk, encoding, callback) {
+        lines.push(chunk.toString());
+        setTimeout(callback, 5);
+      },
+    });
+    const write = slow.write.bind(slow);
+    slow.write = (chunk) => {
+      const ok = write(chunk);
+      buffered = Math.max(buffered, slow.writableLength);
+      return ok;
+    };
+
+    const options = exporter.parseExportQuery({ from: '2023-02-01', to: '2023-02-02', format: 'ndjson' });
+    expect(await exporter.streamRecords(slow, options)).toBe(3);
+    // Never more than the record being written is queued
+    expect(buffered).toBeLessThan(lines[0].length * 2);
+    expect(lines).toHaveLength(3);
+  });
+
+  it('stops and releases the records when the client goes away mid-export', async () => {
+    // Accepts one chunk, never finishes it, then disconnects
+    const stalledClient = () => {
+      const stream = new Writable({ highWaterMark: 1, write() { setImmediate(() => stream.destroy()); } });
+      return stream;
+    };
+
+    const ndjson = stalledClient();
+    const ndjsonOptions = exporter.parseExportQuery({ from: '2023-02-01', to: '2023-02-02', format: 'ndjson' });
+    expect(await exporter.streamRecords(ndjson, ndjsonOptions)).toBe(1);
+    expect(ndjson.listenerCount('drain')).toBe(0);
+
+    // CSV rows are buffered by the stringifier, so it only has to settle instead of hanging
+    const csv = stalledClient();
+    const csvOptions = exporter.parseExportQuery({ from: '2023-02-01', to: '2023-02-02', format: 'csv' });
+    await exporter.streamRecords(csv, csvOptions);
+    expect(csv.destroyed).toBe(true);
+    expect(csv.listenerCount('close')).toBe(0);
+  });
+
+  it('filters by ip, repo and workflow', async () => {
+    const res = await request(app)
+      .get('/export?from=2023-02-01&to=2023-02-02&format=ndjson&ip=10.3.0.1&repo=org/app&workflow=Build')
+      .set(validHeaders);
+
+    const rows = res.text.trim().split('\n').map(line => JSON.parse(line));
+    expect(rows.map(r => r.run_id)).toEqual(['e1']);
+  });
+
+  it('rejects invalid parameters', async () => {
+    expect((await request(app).get('/export?format=xml').set(validHeaders)).status).toBe(400);
+    expect((await request(app).get('/export?from=2023-02-02&to=2023-02-01').set(validHeaders)).status).toBe(400);
+    expect((await request(app).get('/export?from=2020-01-01&to=2023-01-01').set(validHeaders)).status).toBe(400);
+    expect((await request(app).get('/export?columns=ip;rm').set(validHeaders)).status).toBe(400);
+  });
+});
@@ -0,0 +1,113 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const geoip = require('../src/geoip');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('GeoIP / ASN enrichment', () => {
+  const token = 'test-token-geoip';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-geoip');
+  const asnFile = path.join(__dirname, 'test-asn.csv');
+  const countryFile = path.join(__dirname, 'test-country.tsv');
+  const policyFile = path.join(__dirname, 'test-policies-geoip.json');
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    fs.writeFileSync(asnFile, [
+      'network,asn,as_org',
+      '8.8.8.0/24,AS15169,Google LLC',
+      '20.0.0.0/11,8075,Microsoft Corporation',
+      '2001:db8:100::/48,64500,Example v6 Net',
+    ].join('\n'));
+    fs.writeFileSync(countryFile, [
+      'start_ip\tend_ip\tcountry',
+      '8.8.8.0\t8.8.8.255\tus',
+      '20.0.0.0\t20.31.255.255\tNL',
+    ].join('\n'));
+    fs.writeFileSync(policyFile, JSON.stringify({
+      rules: [
+        { name: 'azure', match: { asn: 'AS8075' }, max_runs_per_day: 1 },
+        { name: 'us', match: { country: 'us' }, max_runs_per_day: 5, min_gap_hours: 0 },
+      ],
+    }));
+
+    config.GEOIP_ASN_DB = asnFile;
+    config.GEOIP_COUNTRY_DB = countryFile;
+    config.POLICY_FILE = policyFile;
+  });
+
+  afterAll(() => {
+    config.GEOIP_ASN_DB = undefined;
+    config.GEOIP_COUNTRY_DB = undefined;
+    config.POLICY_FILE = undefined;
+    for (const file of [asnFile, countryFile, policyFile]) fs.rmSync(file, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('lookup', () => {
+    it('merges ASN and country from CIDR and start/end range files', () => {
+      expect(geoip.lookup('8.8.8.8')).toEqual({ asn: 15169, as_org: 'Google LLC', country: 'US' });
+      expect(geoip.lookup('20.31.0.1')).toEqual({ asn: 8075, as_org: 'Microsoft Corporation', country: 'NL' });
+      expect(geoip.lookup('2001:db8:100:5::1')).toEqual({ asn: 64500, as_org: 'Example v6 Net', country: null });
+    });
+
+    it('returns nulls for unknown and invalid IPs', () => {
+      expect(geoip.lookup('1.1.1.1')).toEqual({ asn: null, as_org: null, country: null });
+      expect(geoip.lookup('unknown')).toEqual({ asn: null, as_org: null, country: null });
+    });
+
+    it('keeps client-sent values only when the databases have no answer', () => {
+      expect(geoip.enrichRecord({ ip: '8.8.8.8', asn: 'AS1', country: 'DE' }))
+        .toMatchObject({ asn: 15169, country: 'US' });
+      expect(geoip.enrichRecord({ ip: '1.1.1.1', asn: 'AS13335', country: 'au' }))
+        .toMatchObject({ asn: 13335, country: 'AU' });
+    });
+
+    it('rejects malformed range files', () => {
+      const badFile = path.join(__dirname, 'test-asn-bad.csv');
+      fs.writeFileSync(badFile, 'network,asn\nnot-a-cidr,1\n');
+      try {
+        expect(() => geoip.loadDatabase(badFile)).toThrow(/Invalid IP/);
+      } finally {
+        fs.rmSync(badFile, { force: true });
+      }
+    });
+  });
+
+  describe('HTTP', () => {
+    const send = (route, body) => request(app).post(route).set(validHeaders).send(body);
+
+    it('stores enriched records on /ingest', async () => {
+      await send('/ingest', { ip: '8.8.8.8', run_id: 'geo1', ts: new Date().toISOString() });
+
+      const today = new Date().toISOString().split('T')[0];
+      const dir = path.join(testDataDir, 'ips', today, '8.8.8.8');
+      const [file] = fs.readdirSync(dir);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, file)))).toMatchObject({
+        asn: 15169, as_org: 'Google LLC', country: 'US',
+      });
+    });
+
+    it('applies ASN and country policies on /gate and reports the network', async () => {
+      const first = await send('/reserve', { ip: '20.1.2.3', run_id: 'az1' });
+      expect(first.body).toMatchObject({ should_run: true, policy: 'azure', asn: 8075, country: 'NL' });
+
+      const second = await send('/reserve', { ip: '20.1.2.3', run_id: 'az2' });
+      expect(second.body.should_run).toBe(false);
+
+      const us = await send('/gate', { ip: '8.8.8.8', run_id: 'geo1', ts: new Date().toISOString() });
+      expect(us.body).toMatchObject({ should_run: true, policy: 'us', as_org: 'Google LLC' });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const { BigQuery } = require('@google-cloud/bigquery');
+const app = require('../src/app');
+const config = require('../src/config');
+const health = require('../src/health');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Health checks', () => {
+  const testDataDir = path.join(__dirname, 'test-data-health');
+  const tableExists = (exists) => BigQuery.prototype.dataset.mockReturnValue({
+    table: () => ({ exists: exists instanceof Error ? jest.fn().mockRejectedValue(exists) : jest.fn().mockResolvedValue([exists]) }),
+  });
+
+  beforeAll(() => {
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.HEALTH_PROBE_TIMEOUT_MS = 3000;
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('answers liveness without auth', async () => {
+    const res = await request(app).get('/healthz');
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ status: 'ok', uptime_seconds: expect.any(Number) });
+  });
+
+  it('is ready when storage round-trips a sentinel and BigQuery has its table', async () => {
+    tableExists(true);
+    const res = await request(app).get('/readyz');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({
+      status: 'ok',
+      checks: {
+        storage: { backend: 'local', status: 'ok', latency_ms: expect.any(Number) },
+        bigquery: { status: 'ok', latency_ms: expect.any(Number) },
+      },
+    });
+    // The sentinel is cleaned up, so probes never accumulate objects
+    expect(fs.existsSync(path.join(testDataDir, health.SENTINEL_KEY))).toBe(false);
+  });
+
+  it('reports a failing BigQuery as degraded but stays ready', async () => {
+    tableExists(false);
+    const res = await request(app).get('/readyz');
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('degraded');
+    expect(res.body.checks.bigquery).toMatchObject({ status: 'error', error: expect.stringMatching(/not found/) });
+  });
+
+  it('is not ready when storage cannot be written', async () => {
+    tableExists(true);
+    // A file where the data directory should be makes every write fail
+    const blocked = path.join(testDataDir, 'not-a-dir');
+    fs.mkdirSync(testDataDir, { recursive: true });
+    fs.writeFileSync(blocked, '');
+    config.LOCAL_DATA_DIR = blocked;
+
+    const res = await request(app).get('/readyz');
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toMatchObject({ status: 'unavailable', checks: { storage: { status: 'error' } } });
+  });
+
+  it('times out slow probes', async () => {
+    config.HEALTH_PROBE_TIMEOUT_MS = 20;
+    BigQuery.prototype.dataset.mockReturnValue({ table: () => ({ exists: () => new Promise(() => {}) }) });
+    const res = await request(app).get('/readyz');
+    expect(res.body.checks.bigquery).toMatchObject({ status: 'error', error: 'Timed out after 20ms' });
+  });
+});
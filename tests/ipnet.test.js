@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const ipnet = require('../src/ipnet');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('IP lists and prefix grouping', () => {
+  const token = 'test-token-ipnet';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-ipnet');
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    config.IP_ALLOWLIST = '';
+    config.IP_DENYLIST = '';
+    config.IP_GROUP_PREFIX_V4 = 32;
+    config.IP_GROUP_PREFIX_V6 = 128;
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  describe('usageKey', () => {
+    it('returns the exact IP by default', () => {
+      expect(ipnet.usageKey('10.1.2.3')).toBe('10.1.2.3');
+      expect(ipnet.usageKey('2001:db8::1')).toBe('2001:db8::1');
+      expect(ipnet.usageKey('unknown')).toBe('unknown');
+    });
+
+    it('groups by network prefix', () => {
+      config.IP_GROUP_PREFIX_V4 = 24;
+      config.IP_GROUP_PREFIX_V6 = 64;
+      expect(ipnet.usageKey('10.1.2.3')).toBe('10.1.2.0/24');
+      expect(ipnet.usageKey('2001:db8:1:2:aaaa:bbbb:cccc:dddd')).toBe('2001:db8:1:2::/64');
+      expect(ipnet.usageKey('2001:0db8:0001:0002::9')).toBe('2001:db8:1:2::/64');
+      expect(ipnet.usageKey('::ffff:192.0.2.1')).toBe('::/64');
+    });
+  });
+
+  describe('checkAccessLists', () => {
+    it('matches IPv4 and IPv6 CIDRs, deny winning over allow', () => {
+      config.IP_ALLOWLIST = '10.0.0.0/8, 2001:db8::/32';
+      config.IP_DENYLIST = '10.6.6.6';
+      expect(ipnet.checkAccessLists('10.9.9.9')).toBe('allow');
+      expect(ipnet.checkAccessLists('2001:db8:ffff::1')).toBe('allow');
+      expect(ipnet.checkAccessLists('10.6.6.6')).toBe('deny');
+      expect(ipnet.checkAccessLists('192.168.1.1')).toBeNull();
+      expect(ipnet.checkAccessLists('unknown')).toBeNull();
+    });
+
+    it('rejects malformed entries', () => {
+      expect(() => ipnet.parseCidr('10.0.0.0/33')).toThrow(/prefix/);
+      expect(() => ipnet.parseCidr('not-an-ip')).toThrow(/Invalid IP/);
+    });
+  });
+
+  describe('POST /gate', () => {
+    const send = (route, body) => request(app).post(route).set(validHeaders).send(body);
+
+    it('exempts allowlisted runners from the usage policy', async () => {
+      config.IP_ALLOWLIST = '10.5.0.0/16';
+      const now = new Date().toISOString();
+      await send('/ingest', { ip: '10.5.1.1', run_id: 'al1', ts: now });
+      await send('/ingest', { ip: '10.5.1.1', run_id: 'al2', ts: now });
+
+      const res = await send('/gate', { ip: '10.5.1.1', run_id: 'al2', ts: now });
+      expect(res.body.should_run).toBe(true);
+      expect(res.body.reason).toBe('ip_allowlisted');
+    });
+
+    it('blocks denylisted runners even on their first run', async () => {
+      config.IP_DENYLIST = '203.0.113.0/24';
+      const res = await send('/reserve', { ip: '203.0.113.7', run_id: 'dl1' });
+      expect(res.body.should_run).toBe(false);
+      expect(res.body.reason).toBe('ip_denylisted');
+    });
+
+    it('counts rotating IPv6 addresses in the same /64 together', async () => {
+      config.IP_GROUP_PREFIX_V6 = 64;
+      const first = await send('/reserve', { ip: '2001:db8:7:7::1', run_id: 'v6a' });
+      const second = await send('/reserve', { ip: '2001:db8:7:7::2', run_id: 'v6b' });
+
+      expect(first.body.should_run).toBe(true);
+      expect(first.body.ip_group).toBe('2001:db8:7:7::/64');
+      expect(second.body.should_run).toBe(false);
+      expect(second.body.reason).toBe('gap_not_satisfied');
+      expect(second.body.uses_today).toBe(2);
+
+      // Stored under the group partition, with the exact IP kept on the record
+      const today = new Date().toISOString().split('T')[0];
+      const dir = path.join(testDataDir, 'ips', today, '2001:db8:7:7::_64');
+      const stored = fs.readdirSync(dir).map(f => JSON.parse(fs.readFileSync(path.join(dir, f))).ip).sort();
+      expect(stored).toEqual(['2001:db8:7:7::1', '2001:db8:7:7::2']);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('GET /metrics', () => {
+  const token = 'test-token-metrics';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-metrics');
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    config.METRICS_TOKEN = undefined;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('requires a metrics or read token', async () => {
+    expect((await request(app).get('/metrics')).statusCode).toBe(401);
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer wrong')).statusCode).toBe(403);
+
+    config.METRICS_TOKEN = 'scrape-secret';
+    expect((await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret')).statusCode).toBe(200);
+  });
+
+  it('exposes request, gate and storage metrics', async () => {
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.50.0.1', run_id: 'm1' });
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.50.0.1', run_id: 'm2' });
+
+    const res = await request(app).get('/metrics').set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/text\/plain/);
+
+    const text = res.text;
+    expect(text).toMatch(/actionip_http_requests_total\{method="POST",route="\/reserve",status="200"\} 2/);
+    expect(text).toMatch(/actionip_http_request_duration_seconds_count\{method="POST",route="\/reserve"\} 2/);
+    expect(text).toMatch(/actionip_gate_decisions_total\{should_run="true",reason="none"\} 1/);
+    expect(text).toMatch(/actionip_gate_decisions_total\{should_run="false",reason="gap_not_satisfied"\} 1/);
+    expect(text).toMatch(/actionip_gate_records_scanned_count 2/);
+    expect(text).toMatch(/actionip_storage_operation_duration_seconds_count\{operation="append"\} 2/);
+    // IPs never become label values
+    expect(text).not.toMatch(/10\.50\.0\.1/);
+  });
+
+  it('counts storage errors raised by the adapter', async () => {
+    // A file where an IP's folder should be makes both reads and writes fail
+    const ts = new Date().toISOString();
+    const dayDir = path.join(testDataDir, 'ips', ts.split('T')[0]);
+    fs.mkdirSync(dayDir, { recursive: true });
+    fs.writeFileSync(path.join(dayDir, '10.50.0.2'), '');
+
+    const ingest = await request(app).post('/ingest').set(validHeaders).send({ ip: '10.50.0.2', run_id: 'e1', ts });
+    expect(ingest.statusCode).toBe(500);
+    const gate = await request(app).post('/gate').set(validHeaders).send({ ip: '10.50.0.2', run_id: 'e1', ts });
+    expect(gate.body.reason).toBe('error_fail_open');
+
+    const text = (await request(app).get('/metrics').set(validHeaders)).text;
+    expect(text).toMatch(/actionip_storage_errors_total\{operation="append"\} 1/);
+    expect(text).toMatch(/actionip_storage_errors_total\{operation="query"\} 1/);
+  });
+});
@@ -0,0 +1,123 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../src/app');
+const config = require('../src/config');
+const notifiers = require('../src/notifiers');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('axios');
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Notifiers', () => {
+  const token = 'test-token-notifiers';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-notifiers');
+  const notifierFile = path.join(__dirname, 'test-notifiers.yaml');
+  const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+  const postsTo = (url) => axios.post.mock.calls.filter(([u]) => u === url).map(([, body]) => body);
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    fs.writeFileSync(notifierFile, [
+      'notifiers:',
+      '  - name: slack-blocked',
+      '    type: slack',
+      '    url: https://slack.test/hook',
+      '    events: [blocked]',
+      '    template: "{{title}} {{workflow}} on {{ip}}: {{reason}}"',
+      '  - name: teams-all',
+      '    type: teams',
+      '    url: https://teams.test/hook',
+      '  - name: generic',
+      '    type: webhook',
+      '    url: https://hook.test/events',
+      '    events: [cleanup, fail_open]',
+      '    headers: { X-Api-Key: abc }',
+      '',
+    ].join('\n'));
+  });
+
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ status: 200 });
+  });
+
+  afterEach(() => {
+    config.NOTIFIERS_FILE = undefined;
+    config.DISCORD_WEBHOOK_URL = undefined;
+  });
+
+  afterAll(() => {
+    fs.rmSync(notifierFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('keeps the legacy Discord embed for allowed runs only', async () => {
+    config.DISCORD_WEBHOOK_URL = 'https://discord.test/hook';
+    await request(app).post('/reserve').set(validHeaders)
+      .send({ ip: '10.70.0.1', run_id: 'd1', account: '42', account_label: 'Account 1', workflow: 'Build' });
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.70.0.1', run_id: 'd2' });
+    await settle();
+
+    const sent = postsTo('https://discord.test/hook');
+    expect(sent).toHaveLength(1);
+    const embed = sent[0].embeds[0];
+    expect(embed.title).toBe('🚀 Job Allowed');
+    expect(embed.fields).toEqual(expect.arrayContaining([
+      { name: 'Account', value: 'Account 1 (42)', inline: true },
+      { name: 'IP Address', value: '10.70.0.1', inline: true },
+    ]));
+  });
+
+  it('routes events to each notifier by its filter, with templates', async () => {
+    config.NOTIFIERS_FILE = notifierFile;
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.70.0.2', run_id: 'n1', workflow: 'Deploy' });
+    await request(app).post('/reserve').set(validHeaders).send({ ip: '10.70.0.2', run_id: 'n2', workflow: 'Deploy' });
+    await settle();
+
+    expect(postsTo('https://slack.test/hook')).toEqual([
+      { text: '🛑 Job Blocked Deploy on 10.70.0.2: gap_not_satisfied' },
+    ]);
+
+    const teams = postsTo('https://teams.test/hook');
+    expect(teams.map(card => card.title)).toEqual(['🚀 Job Allowed', '🛑 Job Blocked']);
+    expect(teams[0]['@type']).toBe('MessageCard');
+
+    expect(postsTo('https://hook.test/events')).toEqual([]);
+  });
+
+  it('sends cleanup events with the deleted count and custom headers', async () => {
+    config.NOTIFIERS_FILE = notifierFile;
+    const res = await request(app).post('/cleanup').set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    await settle();
+
+    const call = axios.post.mock.calls.find(([url]) => url === 'https://hook.test/events');
+    expect(call[1]).toMatchObject({ event: 'cleanup', title: '🧹 Cleanup Finished' });
+    expect(typeof call[1].deleted).toBe('number');
+    expect(call[2].headers).toEqual({ 'X-Api-Key': 'abc' });
+  });
+
+  it('never lets a failing notifier throw', async () => {
+    config.NOTIFIERS_FILE = notifierFile;
+    axios.post.mockRejectedValue(new Error('webhook down'));
+    await expect(notifiers.notify('blocked', { ip: '1.1.1.1' })).resolves.toBeUndefined();
+  });
+
+  it('validates the notifier file', () => {
+    expect(() => notifiers.normalizeNotifiers({ notifiers: [{ type: 'pager', url: 'x' }] }))
+      .toThrow(/Unknown notifier type/);
+    expect(() => notifiers.normalizeNotifiers({ notifiers: [{ type: 'slack', url: 'x', events: ['deleted'] }] }))
+      .toThrow(/unknown event "deleted"/);
+    expect(() => notifiers.normalizeNotifiers({ notifiers: [{ type: 'slack' }] }))
+      .toThrow(/"url" is required/);
+  });
+});
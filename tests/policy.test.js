@@ -0,0 +1,124 @@
+const request = require('supertest');
+const app = require('../src/app');
+const storage = require('../src/storage');
+const config = require('../src/config');
+const policy = require('../src/policy');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../src/storage');
+
+describe('Policy Profiles', () => {
+  const token = 'test-token-policy';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const policyFile = path.join(__dirname, 'test-policies.yaml');
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+
+    fs.writeFileSync(policyFile, [
+      'default:',
+      '  max_runs_per_day: 2',
+      'rules:',
+      '  - name: lint',
+      '    match: { workflow: "Lint*" }',
+      '    max_runs_per_day: 50',
+      '    min_gap_hours: 0',
+      '    count_scope: policy',
+      '  - name: docker-acc3',
+      '    match: { workflow: "Daily Docker Cycle", account_label: "Account 3" }',
+      '    max_runs_per_day: 1',
+      '  - name: docker',
+      '    match: { workflow: "Daily Docker Cycle" }',
+      '    min_gap_hours: 4',
+      '  - name: pinned',
+      '    priority: 10',
+      '    match: { repo: "org/pinned" }',
+      '    max_runs_per_day: 9',
+      '',
+    ].join('\n'));
+    config.POLICY_FILE = policyFile;
+  });
+
+  afterAll(() => {
+    config.POLICY_FILE = undefined;
+    fs.rmSync(policyFile, { force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolvePolicy', () => {
+    it('falls back to the file default, then env config', () => {
+      const p = policy.resolvePolicy({ workflow: 'Something Else' });
+      expect(p).toMatchObject({ name: 'default', max_runs_per_day: 2, min_gap_hours: 7, count_scope: 'ip' });
+    });
+
+    it('prefers the more specific rule', () => {
+      const p = policy.resolvePolicy({ workflow: 'Daily Docker Cycle', account_label: 'Account 3' });
+      expect(p).toMatchObject({ name: 'docker-acc3', max_runs_per_day: 1, min_gap_hours: 7 });
+
+      const q = policy.resolvePolicy({ workflow: 'Daily Docker Cycle', account_label: 'Account 1' });
+      expect(q).toMatchObject({ name: 'docker', max_runs_per_day: 2, min_gap_hours: 4 });
+    });
+
+    it('lets explicit priority override specificity', () => {
+      const p = policy.resolvePolicy({ workflow: 'Daily Docker Cycle', account_label: 'Account 3', repo: 'org/pinned' });
+      expect(p.name).toBe('pinned');
+    });
+
+    it('supports glob matches', () => {
+      expect(policy.resolvePolicy({ workflow: 'Lint PR' }).name).toBe('lint');
+    });
+
+    it('rejects unknown match fields', () => {
+      expect(() => policy.normalizePolicies({ rules: [{ name: 'bad', match: { branch: 'main' } }] }))
+        .toThrow(/unknown match field/);
+    });
+
+    it('rejects a priority that is not a number', () => {
+      for (const priority of ['high', '10', null, Infinity]) {
+        expect(() => policy.normalizePolicies({ rules: [{ name: 'bad', match: { repo: 'org/a' }, priority }] }))
+          .toThrow(/"priority" must be a number/);
+      }
+      expect(policy.normalizePolicies({ rules: [{ name: 'plain', match: { repo: 'org/a' } }] }).rules[0].priority).toBe(0);
+    });
+  });
+
+  describe('POST /gate with policies', () => {
+    it('reports the matched policy and applies its gap', async () => {
+      storage.getRecordsForIpToday.mockResolvedValue([
+        { run_id: 'new', ts: '2023-01-01T05:00:00Z', workflow: 'Daily Docker Cycle' },
+        { run_id: 'old', ts: '2023-01-01T00:00:00Z', workflow: 'Daily Docker Cycle' },
+      ]);
+
+      const res = await request(app)
+        .post('/gate')
+        .set(validHeaders)
+        .send({ ip: '1.2.3.4', ts: '2023-01-01T05:00:00Z', run_id: 'new', workflow: 'Daily Docker Cycle' });
+
+      // 5h gap passes the 4h docker rule but would fail the 7h default
+      expect(res.body.should_run).toBe(true);
+      expect(res.body.policy).toBe('docker');
+    });
+
+    it('counts only same-policy runs when count_scope is policy', async () => {
+      storage.getRecordsForIpToday.mockResolvedValue([
+        { run_id: 'lint-1', ts: '2023-01-01T01:00:00Z', workflow: 'Lint' },
+        { run_id: 'docker-1', ts: '2023-01-01T00:59:00Z', workflow: 'Daily Docker Cycle' },
+      ]);
+
+      const res = await request(app)
+        .post('/gate')
+        .set(validHeaders)
+        .send({ ip: '1.2.3.4', ts: '2023-01-01T01:00:00Z', run_id: 'lint-1', workflow: 'Lint' });
+
+      expect(res.body.should_run).toBe(true);
+      expect(res.body.policy).toBe('lint');
+      expect(res.body.uses_today).toBe(1);
+    });
+  });
+});
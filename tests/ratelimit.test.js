@@ -0,0 +1,80 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Rate limiting', () => {
+  const token = 'test-token-ratelimit';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-ratelimit');
+  const tokenFile = path.join(__dirname, 'test-tokens-ratelimit.json');
+  const ingest = (ip, runId, headers = validHeaders) =>
+    request(app).post('/ingest').set(headers).send({ ip, run_id: runId, ts: new Date().toISOString() });
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+    fs.writeFileSync(tokenFile, JSON.stringify({
+      tokens: [{ name: 'matrix', token: 'matrix-secret', scopes: ['ingest', 'gate'], rate_limit: 2 }],
+    }));
+  });
+
+  afterEach(() => {
+    config.RATE_LIMIT_PER_IP = 0;
+    config.RATE_LIMIT_PER_TOKEN = 0;
+    config.RATE_LIMIT_STORE = 'memory';
+    config.API_TOKENS_FILE = undefined;
+  });
+
+  afterAll(() => {
+    fs.rmSync(tokenFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('does nothing by default', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect((await ingest('10.40.0.1', `d${i}`)).statusCode).toBe(200);
+    }
+  });
+
+  it('limits requests per runner IP with 429 and Retry-After', async () => {
+    config.RATE_LIMIT_PER_IP = 2;
+    expect((await ingest('10.40.0.2', 'a')).statusCode).toBe(200);
+    expect((await ingest('10.40.0.2', 'b')).statusCode).toBe(200);
+
+    const limited = await ingest('10.40.0.2', 'c');
+    expect(limited.statusCode).toBe(429);
+    expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+    expect(limited.body.limit_key).toBe('ip:10.40.0.2');
+
+    // Other IPs are unaffected
+    expect((await ingest('10.40.0.3', 'a')).statusCode).toBe(200);
+  });
+
+  it('limits requests per token, with per-token overrides', async () => {
+    config.API_TOKENS_FILE = tokenFile;
+    const headers = { 'Authorization': 'Bearer matrix-secret' };
+    expect((await ingest('10.40.1.1', 'm1', headers)).statusCode).toBe(200);
+    expect((await ingest('10.40.1.2', 'm2', headers)).statusCode).toBe(200);
+    expect((await ingest('10.40.1.3', 'm3', headers)).statusCode).toBe(429);
+
+    // The collector token has no override and RATE_LIMIT_PER_TOKEN is off
+    expect((await ingest('10.40.1.4', 'm4')).statusCode).toBe(200);
+  });
+
+  it('shares counters through the storage backend', async () => {
+    config.RATE_LIMIT_STORE = 'storage';
+    config.RATE_LIMIT_PER_IP = 1;
+    const reserve = (runId) => request(app).post('/reserve').set(validHeaders).send({ ip: '10.40.2.1', run_id: runId });
+
+    expect((await reserve('s1')).statusCode).toBe(200);
+    expect((await reserve('s2')).statusCode).toBe(429);
+    expect(fs.readdirSync(path.join(testDataDir, 'ratelimit')).length).toBe(1);
+  });
+});
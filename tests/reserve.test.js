@@ -0,0 +1,140 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const storage = require('../src/storage');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Atomic Reserve Tests', () => {
+  const token = 'test-token-reserve';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-reserve');
+  const TEST_IP = '10.0.0.77';
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+
+    if (fs.existsSync(testDataDir)) {
+      fs.rmSync(testDataDir, { recursive: true, force: true });
+    }
+  });
+
+  afterAll(() => {
+    if (fs.existsSync(testDataDir)) {
+      fs.rmSync(testDataDir, { recursive: true, force: true });
+    }
+  });
+
+  const ipDir = (ts) => path.join(testDataDir, 'ips', ts.split('T')[0], TEST_IP);
+
+  it('admits exactly one of many concurrent runners on the same IP', async () => {
+    const now = new Date().toISOString();
+    const runnerIds = ['r1', 'r2', 'r3', 'r4', 'r5'];
+
+    const responses = await Promise.all(runnerIds.map(id =>
+      request(app).post('/reserve').set(validHeaders).send({ ip: TEST_IP, run_id: id, ts: now })
+    ));
+
+    const allowed = responses.filter(r => r.body.should_run === true);
+    expect(allowed.length).toBe(1);
+    expect(fs.readdirSync(ipDir(now)).length).toBe(5);
+  });
+
+  it('decides in arrival order, closing the out-of-order race', async () => {
+    // With /ingest + /gate, run A (10:00) arriving after run B (12:00) is also admitted
+    // (see ooo.test.js). /reserve stamps runs with the server clock, so A is blocked instead.
+    const ip = '10.0.0.78';
+    const todayStr = new Date().toISOString().split('T')[0];
+
+    const resB = await request(app).post('/reserve').set(validHeaders)
+      .send({ ip, run_id: 'runB', ts: `${todayStr}T12:00:00Z` });
+    const resA = await request(app).post('/reserve').set(validHeaders)
+      .send({ ip, run_id: 'runA', ts: `${todayStr}T10:00:00Z` });
+
+    expect(resB.body.should_run).toBe(true);
+    expect(resA.body.should_run).toBe(false);
+    expect(resA.body.reason).toBe('gap_not_satisfied');
+
+    // The client timestamp is kept for reference
+    const dir = path.join(testDataDir, 'ips', todayStr, ip);
+    const stored = fs.readdirSync(dir).map(f => JSON.parse(fs.readFileSync(path.join(dir, f))));
+    expect(stored.map(r => r.client_ts).sort()).toEqual([`${todayStr}T10:00:00Z`, `${todayStr}T12:00:00Z`]);
+  });
+
+  it('does not store a retried run_id twice', async () => {
+    const ip = '10.0.0.79';
+    const now = new Date().toISOString();
+
+    await request(app).post('/reserve').set(validHeaders).send({ ip, run_id: 'same', ts: now });
+    const res = await request(app).post('/reserve').set(validHeaders).send({ ip, run_id: 'same', ts: now });
+
+    expect(res.body.should_run).toBe(true);
+    expect(fs.readdirSync(path.join(testDataDir, 'ips', now.split('T')[0], ip)).length).toBe(1);
+  });
+
+  it('supports /gate?record=true as an alias', async () => {
+    const ip = '10.0.0.80';
+    const res = await request(app).post('/gate?record=true').set(validHeaders)
+      .send({ ip, run_id: 'alias', ts: new Date().toISOString() });
+
+    expect(res.body.should_run).toBe(true);
+    expect(res.body.uses_today).toBe(1);
+  });
+
+  it('fails closed with 503 when the per-IP lock times out', async () => {
+    const ip = '10.0.0.81';
+    const now = new Date().toISOString();
+    const spy = jest.spyOn(storage, 'withIpLock')
+      .mockRejectedValueOnce(new Error('Timed out waiting for GCS lock locks/10.0.0.81.lock'));
+
+    const res = await request(app).post('/reserve').set(validHeaders).send({ ip, run_id: 'locked', ts: now });
+    spy.mockRestore();
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ should_run: false, reason: 'error_fail_closed' });
+    expect(fs.existsSync(path.join(testDataDir, 'ips', now.split('T')[0], ip))).toBe(false);
+  });
+
+  it('fails closed when the run cannot be stored', async () => {
+    const ip = '10.0.0.82';
+    const spy = jest.spyOn(storage, 'appendToGCS').mockRejectedValueOnce(new Error('disk full'));
+
+    const res = await request(app).post('/gate?record=true').set(validHeaders)
+      .send({ ip, run_id: 'unstored', ts: new Date().toISOString() });
+    spy.mockRestore();
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ should_run: false, reason: 'error_fail_closed' });
+  });
+
+  it('skips a stored record with a missing or invalid ts instead of failing every later call', async () => {
+    const ip = '10.0.0.83';
+    const today = new Date().toISOString();
+    const dir = path.join(testDataDir, 'ips', today.split('T')[0], ip);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'bad-1.json'), JSON.stringify({ ip, run_id: 'bad-1' }));
+    fs.writeFileSync(path.join(dir, 'bad-2.json'), JSON.stringify({ ip, run_id: 'bad-2', ts: 'yesterday' }));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const reserve = await request(app).post('/reserve').set(validHeaders).send({ ip, run_id: 'good-1', ts: today });
+    expect(reserve.status).toBe(200);
+    expect(reserve.body).toMatchObject({ should_run: true, uses_today: 1 });
+
+    const gate = await request(app).post('/gate').set(validHeaders).send({ ip, run_id: 'good-1', ts: today });
+    expect(gate.body).toMatchObject({ should_run: true, reason: '' });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('bad-2'));
+    warn.mockRestore();
+  });
+
+  it('requires ip and run_id', async () => {
+    const res = await request(app).post('/reserve').set(validHeaders).send({ ip: TEST_IP });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const storage = require('../src/storage');
+const retention = require('../src/retention');
+const fs = require('fs');
+const path = require('path');
+const { getDateString } = require('../src/adapters/common');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Retention cleanup', () => {
+  const token = 'test-token-retention';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-retention');
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const day = (days) => getDateString(daysAgo(days));
+  const all = { from: daysAgo(10), to: new Date() };
+
+  const keep = [
+    `audit/${day(5)}/10.70.0.1/1.json`,
+    `aggregates/${day(60)}/shard-0.json`,
+    `overrides/10.70.0.1.json`,
+    `reports/digest/${day(200)}.json`,
+  ];
+  const expire = [
+    `audit/${day(40)}/10.70.0.1/1.json`,
+    `audit/${day(31)}/10.70.0.2/2.json`,
+    `aggregates/${day(100)}/shard-3.json`,
+  ];
+  // RATE_LIMIT_STORE=storage windows: one has ended, one is still counting
+  const endedWindow = 'ratelimit/0a1b.json';
+  const openWindow = 'ratelimit/2c3d.json';
+  // HMAC_NONCE_STORE=storage nonces: one has expired, one can still be replayed
+  const expiredNonce = 'nonces/4e5f.json';
+  const liveNonce = 'nonces/6a7b.json';
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.RETENTION_HOURS = 24;
+    config.AUDIT_RETENTION_DAYS = 30;
+    config.AGGREGATE_RETENTION_DAYS = 90;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    // Files are written now, so only their ts says they are old
+    await storage.appendToGCS({ ip: '10.70.0.1', run_id: 'old-1', ts: daysAgo(3).toISOString() });
+    await storage.appendToGCS({ ip: '10.70.0.1', run_id: 'old-2', ts: daysAgo(1.5).toISOString() });
+    await storage.appendToGCS({ ip: '10.70.0.2', run_id: 'fresh', ts: daysAgo(0.5).toISOString() });
+    for (const key of [...keep, ...expire]) await storage.putObject(key, { key });
+    await storage.putObject(endedWindow, { count: 4, resetAt: Date.now() - 1000 });
+    await storage.putObject(openWindow, { count: 1, resetAt: Date.now() + 60 * 60 * 1000 });
+    await storage.putObject(expiredNonce, { expiresAt: Date.now() - 1000 });
+    await storage.putObject(liveNonce, { expiresAt: Date.now() + 60 * 1000 });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('reports what a dry run would delete and deletes nothing', async () => {
+    const res = await request(app).post('/cleanup?dry_run=true').set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      dry_run: true,
+      deleted: 7,
+      failed: 0,
+      records: { retention_hours: 24, deleted: 2, failed: 0 },
+      audit: { retention_days: 30, scanned: 2, deleted: 2, failed: 0 },
+      aggregates: { retention_days: 90, scanned: 1, deleted: 1, failed: 0 },
+      ratelimit: { scanned: 2, deleted: 1, failed: 0 },
+      nonces: { scanned: 2, deleted: 1, failed: 0 },
+    });
+
+    expect((await storage.getAdapter().query(all)).length).toBe(3);
+    for (const key of expire) expect(await storage.getObject(key)).toEqual({ key });
+    expect(await storage.getObject(endedWindow)).not.toBeNull();
+    expect(await storage.getObject(expiredNonce)).not.toBeNull();
+  });
+
+  it('deletes expired records by ts and expired audit/aggregate days only', async () => {
+    const res = await request(app).post('/cleanup').set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      dry_run: false, deleted: 7, failed: 0, records: { deleted: 2 }, ratelimit: { deleted: 1 }, nonces: { deleted: 1 },
+    });
+
+    expect((await storage.getAdapter().query(all)).map(r => r.run_id)).toEqual(['fresh']);
+    for (const key of expire) expect(await storage.getObject(key)).toBeNull();
+    for (const key of keep) expect(await storage.getObject(key)).toEqual({ key });
+    expect(fs.readdirSync(path.join(testDataDir, 'ips'))).toEqual([day(0.5)]);
+    expect(await storage.getObject(endedWindow)).toBeNull();
+    expect(await storage.getObject(openWindow)).not.toBeNull();
+    expect(await storage.getObject(expiredNonce)).toBeNull();
+    expect(await storage.getObject(liveNonce)).not.toBeNull();
+  });
+
+  it('keeps a section forever with retention 0 and counts failed deletes', async () => {
+    const key = `audit/${day(50)}/10.70.0.3/1.json`;
+    await storage.putObject(key, { key });
+    await storage.putObject(`aggregates/${day(120)}/shard-1.json`, {});
+
+    config.AGGREGATE_RETENTION_DAYS = 0;
+    jest.spyOn(storage, 'deleteObject').mockRejectedValueOnce(new Error('permission denied'));
+    const report = await retention.runCleanup();
+    config.AGGREGATE_RETENTION_DAYS = 90;
+
+    expect(report.audit).toMatchObject({ scanned: 1, deleted: 0, failed: 1 });
+    expect(report.aggregates).toMatchObject({ retention_days: 0, scanned: 0, deleted: 0 });
+    expect(report.failed).toBe(1);
+    expect(await storage.getObject(key)).toEqual({ key });
+  });
+
+  it('validates the retention settings', () => {
+    const saved = { ...config };
+    try {
+      expect(() => retention.validateConfig()).not.toThrow();
+      config.RETENTION_HOURS = 0;
+      expect(() => retention.validateConfig()).toThrow(/RETENTION_HOURS/);
+      config.RETENTION_HOURS = 24;
+      config.AGGREGATE_RETENTION_DAYS = 1;
+      expect(() => retention.validateConfig()).toThrow(/AGGREGATE_RETENTION_DAYS/);
+      config.AGGREGATE_RETENTION_DAYS = 90;
+      config.CLEANUP_CONCURRENCY = NaN;
+      expect(() => retention.validateConfig()).toThrow(/CLEANUP_CONCURRENCY/);
+    } finally {
+      Object.assign(config, saved);
+    }
+  });
+});
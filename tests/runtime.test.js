@@ -0,0 +1,118 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const runtime = require('../src/runtime');
+const storage = require('../src/storage');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('axios');
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Runtime config', () => {
+  const token = 'test-token-runtime';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-runtime');
+  const runtimeFile = path.join(__dirname, 'test-runtime.yaml');
+  const gate = (ip, runId) => request(app).post('/reserve').set(validHeaders).send({ ip, run_id: runId });
+  const write = (lines) => fs.writeFileSync(runtimeFile, lines.join('\n'));
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    config.HMAC_SECRET = 'runtime-hmac-secret';
+    config.DISCORD_WEBHOOK_URL = 'https://discord.test/api/webhooks/1/secret-part';
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    config.RUNTIME_CONFIG_FILE = undefined;
+    config.RUNTIME_CONFIG_OBJECT = undefined;
+    await runtime.reload();
+  });
+
+  afterAll(() => {
+    config.HMAC_SECRET = undefined;
+    config.DISCORD_WEBHOOK_URL = undefined;
+    console.error.mockRestore();
+    fs.rmSync(runtimeFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('applies a new file without a restart and keeps the last good one when it breaks', async () => {
+    write(['policy:', '  default: { min_gap_hours: 0, max_runs_per_day: 1 }', 'ip_denylist: [10.30.9.0/24]']);
+    config.RUNTIME_CONFIG_FILE = runtimeFile;
+    expect(await runtime.reload({ strict: true })).toMatchObject({ changed: true });
+
+    expect((await gate('10.30.0.1', 'h1')).body.should_run).toBe(true);
+    expect((await gate('10.30.0.1', 'h2')).body).toMatchObject({ should_run: false, reason: 'max_runs_reached' });
+    expect((await gate('10.30.9.5', 'h3')).body).toMatchObject({ should_run: false, reason: 'ip_denylisted' });
+
+    const good = runtime.getStatus().version;
+    write(['policy:', '  default: { max_runs_per_day: -2 }', 'ip_denylist: [not-an-ip]']);
+    const result = await runtime.reload();
+    expect(result.changed).toBe(false);
+    expect(result.error).toMatch(/max_runs_per_day/);
+    expect(runtime.getStatus()).toMatchObject({ version: good, last_error: expect.stringMatching(/max_runs_per_day/) });
+    expect((await gate('10.30.9.6', 'h4')).body.reason).toBe('ip_denylisted');
+
+    write(['policy:', '  default: { min_gap_hours: 0, max_runs_per_day: 5 }']);
+    expect(await runtime.reload()).toMatchObject({ changed: true, error: null });
+    expect((await gate('10.30.0.1', 'h5')).body.should_run).toBe(true);
+    expect((await gate('10.30.9.7', 'h6')).body.should_run).toBe(true);
+  });
+
+  it('rejects an invalid config at startup', async () => {
+    write(['notifiers:', '  - { type: pager, url: https://x.test }']);
+    config.RUNTIME_CONFIG_FILE = runtimeFile;
+    await expect(runtime.reload({ strict: true })).rejects.toThrow(/Unknown notifier type/);
+
+    write(['limits: { max_runs_per_day: 2 }']);
+    await expect(runtime.reload({ strict: true })).rejects.toThrow(/unknown section "limits"/);
+  });
+
+  it('reads a JSON object from the storage backend', async () => {
+    await storage.putObject('config/runtime.json', { ip_allowlist: '10.31.0.0/16' });
+    config.RUNTIME_CONFIG_OBJECT = 'config/runtime.json';
+    await runtime.reload({ strict: true });
+
+    expect((await gate('10.31.2.3', 'o1')).body.reason).toBe('ip_allowlisted');
+    expect(runtime.getStatus().source).toBe('storage:config/runtime.json');
+  });
+
+  it('shows the effective config with secrets redacted', async () => {
+    write([
+      'policy:',
+      '  default: { max_runs_per_day: 2 }',
+      '  rules:',
+      '    - { name: nightly, match: { workflow: Nightly }, min_gap_hours: 1 }',
+      'notifiers:',
+      '  - { name: ops, type: slack, url: "https://hooks.slack.test/services/T0/B0/xyz", headers: { X-Key: abc } }',
+    ]);
+    config.RUNTIME_CONFIG_FILE = runtimeFile;
+    await runtime.reload();
+
+    const res = await request(app).get('/policy').set(validHeaders);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.policy.default).toMatchObject({ max_runs_per_day: 2, min_gap_hours: 7, count_scope: 'ip' });
+    expect(res.body.policy.rules).toEqual([
+      { name: 'nightly', match: { workflow: 'Nightly' }, priority: 0, min_gap_hours: 1 },
+    ]);
+    expect(res.body.notifiers).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'ops', url: 'https://hooks.slack.test/[redacted]', headers: { 'X-Key': '[redacted]' } }),
+    ]));
+    expect(res.body.settings).toMatchObject({
+      COLLECTOR_TOKEN: '[redacted]',
+      HMAC_SECRET: '[redacted]',
+      DISCORD_WEBHOOK_URL: 'https://discord.test/[redacted]',
+    });
+    expect(res.text).not.toContain('xyz');
+    expect(res.text).not.toContain(token);
+    expect(res.body.runtime).toMatchObject({ source: `file:${runtimeFile}`, last_error: null });
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../src/app');
+const config = require('../src/config');
+const signing = require('../src/signing');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('HMAC request signing', () => {
+  const token = 'test-token-signing';
+  const secret = 'test-hmac-secret';
+  const testDataDir = path.join(__dirname, 'test-data-signing');
+
+  // Signs like the client workflow does
+  const signedHeaders = (route, body, { timestamp = Math.floor(Date.now() / 1000), nonce } = {}) => {
+    nonce = nonce || crypto.randomBytes(16).toString('hex');
+    const signature = signing.sign(secret, {
+      method: 'POST', path: route, timestamp: String(timestamp), nonce, body: JSON.stringify(body),
+    });
+    return {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'X-Timestamp': String(timestamp),
+      'X-Nonce': nonce,
+      'X-Signature': signature,
+    };
+  };
+  const post = (route, body, headers) => request(app).post(route).set(headers).send(JSON.stringify(body));
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.HMAC_SECRET = secret;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    config.HMAC_MODE = 'optional';
+    config.HMAC_NONCE_STORE = 'memory';
+  });
+
+  afterAll(() => {
+    config.HMAC_SECRET = undefined;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('accepts a correctly signed request', async () => {
+    config.HMAC_MODE = 'required';
+    const body = { ip: '10.30.0.1', run_id: 's1' };
+    const res = await post('/reserve', body, signedHeaders('/reserve', body));
+    expect(res.statusCode).toBe(200);
+    expect(res.body.should_run).toBe(true);
+  });
+
+  it('rejects a replayed nonce', async () => {
+    const body = { ip: '10.30.0.2', run_id: 's2' };
+    const headers = signedHeaders('/ingest', body);
+    expect((await post('/ingest', body, headers)).statusCode).toBe(200);
+
+    const replay = await post('/ingest', body, headers);
+    expect(replay.statusCode).toBe(401);
+    expect(replay.body.error).toMatch(/nonce already used/);
+  });
+
+  it('rejects timestamps outside the skew window', async () => {
+    const body = { ip: '10.30.0.3', run_id: 's3' };
+    const stale = Math.floor(Date.now() / 1000) - config.HMAC_MAX_SKEW_SECONDS - 60;
+    const res = await post('/ingest', body, signedHeaders('/ingest', body, { timestamp: stale }));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toMatch(/clock skew/);
+  });
+
+  it('binds the signature to the method and path', async () => {
+    const body = { ip: '10.30.0.4', run_id: 's4' };
+    const res = await post('/reserve', body, signedHeaders('/ingest', body));
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Invalid HMAC Signature');
+  });
+
+  it('rejects a tampered body', async () => {
+    const headers = signedHeaders('/ingest', { ip: '10.30.0.5', run_id: 's5' });
+    const res = await post('/ingest', { ip: '10.30.0.6', run_id: 's5' }, headers);
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('requires signatures in required mode but keeps legacy body signatures in optional mode', async () => {
+    const body = { ip: '10.30.0.7', run_id: 's7' };
+    const raw = JSON.stringify(body);
+    const legacy = {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+      'X-Signature': crypto.createHmac('sha256', secret).update(raw).digest('base64'),
+    };
+    expect((await post('/ingest', body, legacy)).statusCode).toBe(200);
+
+    config.HMAC_MODE = 'required';
+    expect((await post('/ingest', body, legacy)).statusCode).toBe(401);
+
+    const unsigned = await post('/ingest', body, { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' });
+    expect(unsigned.statusCode).toBe(401);
+    expect(unsigned.body.error).toBe('Missing HMAC Signature');
+  });
+
+  it('rejects a nonce replayed against another instance with HMAC_NONCE_STORE=storage', async () => {
+    config.HMAC_NONCE_STORE = 'storage';
+    const body = { ip: '10.30.0.8', run_id: 's8' };
+    const headers = signedHeaders('/ingest', body);
+    expect((await post('/ingest', body, headers)).statusCode).toBe(200);
+    expect(fs.readdirSync(path.join(testDataDir, 'nonces'))).toHaveLength(1);
+
+    // A second instance has its own module state but shares the storage backend
+    let otherInstance;
+    jest.isolateModules(() => {
+      Object.assign(require('../src/config'), {
+        HMAC_SECRET: secret, HMAC_NONCE_STORE: 'storage', STORAGE_TYPE: 'local', LOCAL_DATA_DIR: testDataDir,
+      });
+      otherInstance = require('../src/signing');
+    });
+    const replay = {
+      method: 'POST',
+      originalUrl: '/ingest',
+      rawBody: JSON.stringify(body),
+      headers: Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])),
+    };
+    expect(await otherInstance.verifyRequest(replay)).toMatch(/nonce already used/);
+  });
+
+  it('fails closed when the nonce store is unavailable', async () => {
+    config.HMAC_NONCE_STORE = 'storage';
+    const storage = require('../src/storage');
+    const spy = jest.spyOn(storage, 'withLock').mockRejectedValueOnce(new Error('bucket unavailable'));
+    const body = { ip: '10.30.0.9', run_id: 's9' };
+    const res = await post('/ingest', body, signedHeaders('/ingest', body));
+    spy.mockRestore();
+    expect(res.statusCode).toBe(503);
+  });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Policy simulation', () => {
+  const token = 'test-token-simulate';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-simulate');
+  const simulate = (body) => request(app).post('/simulate').set(validHeaders).send(body);
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    config.GATE_WINDOW_MODE = 'utc_day';
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    const runs = [
+      // Three runs 8h apart: all allowed at 3/day, the third blocked at 2/day
+      { ip: '10.40.0.1', run_id: 's1', ts: '2024-04-01T00:00:00Z', account_label: 'Account 1' },
+      { ip: '10.40.0.1', run_id: 's2', ts: '2024-04-01T08:00:00Z', account_label: 'Account 2' },
+      { ip: '10.40.0.1', run_id: 's3', ts: '2024-04-01T16:00:00Z', account_label: 'Account 1' },
+      // A retry 1h later is blocked either way
+      { ip: '10.40.0.2', run_id: 's4', ts: '2024-04-02T10:00:00Z', account_label: 'Account 2' },
+      { ip: '10.40.0.2', run_id: 's5', ts: '2024-04-02T11:00:00Z', account_label: 'Account 2' },
+    ];
+    for (const run of runs) {
+      await request(app).post('/ingest').set(validHeaders).send(run);
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('compares a tighter limit with the current policy per day and account', async () => {
+    const res = await simulate({ from: '2024-04-01', to: '2024-04-02', policy: { max_runs_per_day: 2 } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.total).toEqual({
+      runs: 5,
+      current: { allowed: 4, blocked: 1, blocked_by_reason: { gap_not_satisfied: 1 } },
+      candidate: { allowed: 3, blocked: 2, blocked_by_reason: { gap_not_satisfied: 1, max_runs_reached: 1 } },
+      newly_blocked: 1,
+      newly_allowed: 0,
+    });
+    expect(res.body.by_day['2024-04-01']).toMatchObject({ runs: 3, newly_blocked: 1 });
+    expect(res.body.by_day['2024-04-02']).toMatchObject({ runs: 2, newly_blocked: 0 });
+    expect(res.body.by_account['Account 1']).toMatchObject({ runs: 2, newly_blocked: 1 });
+    expect(res.body.by_account['Account 2']).toMatchObject({ runs: 3, newly_blocked: 0 });
+  });
+
+  it('accepts a full policy document and an account filter', async () => {
+    const res = await simulate({
+      from: '2024-04-01',
+      to: '2024-04-02',
+      account: 'Account 2',
+      policy: { default: { min_gap_hours: 0 }, rules: [{ name: 'strict', match: { account_label: 'Account 2' }, max_runs_per_day: 1 }] },
+    });
+
+    // Account 1's runs are not counted, but still use up the shared IP on day one
+    expect(res.body.total).toMatchObject({ runs: 3, newly_blocked: 1, newly_allowed: 0 });
+    expect(Object.keys(res.body.by_account)).toEqual(['Account 2']);
+  });
+
+  it('validates the request', async () => {
+    expect((await simulate({ policy: { max_runs_per_day: -1 } })).body.error).toMatch(/Invalid policy/);
+    expect((await simulate({ policy: { maxRuns: 2 } })).statusCode).toBe(400);
+    expect((await simulate({})).statusCode).toBe(400);
+    expect((await simulate({ from: '2024-01-01', to: '2024-06-01', policy: { max_runs_per_day: 2 } })).body.error)
+      .toMatch(/Range too large/);
+  });
+});
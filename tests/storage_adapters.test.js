@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { createAdapter } = require('../src/adapters');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+// Minimal in-memory stand-in for a @google-cloud/storage client, including
+// ifGenerationMatch preconditions (used by the GCS lock).
+let nextGeneration = 1;
+function createFakeGcsClient(objects = new Map()) {
+  const preconditionFailed = () => Object.assign(new Error('Precondition Failed'), { code: 412 });
+  const makeFile = (name) => {
+    const file = {
+      name,
+      save: async (content, options = {}) => {
+        const expected = options.preconditionOpts && options.preconditionOpts.ifGenerationMatch;
+        if (expected !== undefined && (objects.has(name) ? objects.get(name).generation : 0) !== expected) {
+          throw preconditionFailed();
+        }
+        const generation = nextGeneration++;
+        objects.set(name, { content, generation, timeCreated: new Date().toISOString() });
+        file.metadata = { generation };
+      },
+      download: async () => {
+        if (!objects.has(name)) throw Object.assign(new Error('Not Found'), { code: 404 });
+        return [Buffer.from(objects.get(name).content)];
+      },
+      getMetadata: async () => [{ ...objects.get(name) }],
+      delete: async (options = {}) => {
+        if (options.ifGenerationMatch !== undefined &&
+            (!objects.has(name) || objects.get(name).generation !== options.ifGenerationMatch)) {
+          throw preconditionFailed();
+        }
+        if (!objects.has(name) && !options.ignoreNotFound) {
+          throw Object.assign(new Error('Not Found'), { code: 404 });
+        }
+        objects.delete(name);
+      },
+    };
+    return file;
+  };
+  return {
+    objects,
+    bucket: () => ({
+      file: makeFile,
+      getFiles: async ({ prefix = '' } = {}) =>
+        [[...objects.keys()].filter(k => k.startsWith(prefix)).map(makeFile)],
+    }),
+  };
+}
+
+const backends = [
+  ['local', (dir) => createAdapter('local', { dataDir: dir })],
+  ['sqlite', (dir) => createAdapter('sqlite', { filename: path.join(dir, 'test.sqlite') })],
+  ['gcs', () => createAdapter('gcs', { client: createFakeGcsClient(), bucketName: 'test-bucket' })],
+];
+
+describe.each(backends)('Storage adapter contract: %s', (name, create) => {
+  const testDataDir = path.join(__dirname, `test-data-adapter-${name}`);
+  let adapter;
+
+  beforeAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+    adapter = create(testDataDir);
+  });
+
+  afterAll(() => {
+    if (adapter.close) adapter.close();
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('appends and queries by IP and time range across days', async () => {
+    await adapter.append({ ip: '10.1.1.1', run_id: 'a', ts: '2023-01-01T23:30:00Z' });
+    await adapter.append({ ip: '10.1.1.1', run_id: 'b', ts: '2023-01-02T00:30:00Z' });
+    await adapter.append({ ip: '10.1.1.2', run_id: 'c', ts: '2023-01-02T01:00:00Z' });
+
+    const records = await adapter.query({
+      ip: '10.1.1.1',
+      from: new Date('2023-01-01T23:00:00Z'),
+      to: new Date('2023-01-02T23:59:59Z'),
+    });
+    expect(records.map(r => r.run_id).sort()).toEqual(['a', 'b']);
+
+    const narrow = await adapter.query({
+      ip: '10.1.1.1',
+      from: new Date('2023-01-02T00:00:00Z'),
+      to: new Date('2023-01-02T23:59:59Z'),
+    });
+    expect(narrow.map(r => r.run_id)).toEqual(['b']);
+  });
+
+  it('queries all IPs when ip is omitted', async () => {
+    const records = await adapter.query({
+      from: new Date('2023-01-02T00:00:00Z'),
+      to: new Date('2023-01-02T23:59:59Z'),
+    });
+    expect(records.map(r => r.run_id).sort()).toEqual(['b', 'c']);
+  });
+
+  it('counts unique IPs (or reports null when unsupported)', async () => {
+    const count = await adapter.countUniqueIps({
+      from: new Date('2023-01-02T00:00:00Z'),
+      to: new Date('2023-01-02T23:59:59Z'),
+    });
+    if (name === 'gcs') {
+      expect(count).toBeNull();
+    } else {
+      expect(count).toBe(2);
+    }
+  });
+
+  it('deletes one run or all of an IP\'s records in a range', async () => {
+    await adapter.append({ ip: '10.1.1.9', run_id: 'x1', ts: '2023-01-03T01:00:00Z' });
+    await adapter.append({ ip: '10.1.1.9', run_id: 'x2', ts: '2023-01-03T02:00:00Z' });
+    await adapter.append({ ip: '10.1.1.9', run_id: 'x3', ts: '2023-01-03T03:00:00Z' });
+    const from = new Date('2023-01-03T00:00:00Z');
+    const to = new Date('2023-01-03T23:59:59Z');
+
+    expect(await adapter.deleteRecords({ ip: '10.1.1.9', from, to, runId: 'x2' })).toEqual({ deleted: 1 });
+    expect((await adapter.query({ ip: '10.1.1.9', from, to })).map(r => r.run_id).sort()).toEqual(['x1', 'x3']);
+
+    expect(await adapter.deleteRecords({ ip: '10.1.1.9', from, to })).toEqual({ deleted: 2 });
+    expect(await adapter.query({ ip: '10.1.1.9', from, to })).toEqual([]);
+  });
+
+  it('serializes work under the same lock key', async () => {
+    const events = [];
+    const task = (id) => adapter.withLock('ip-10.1.1.1', async () => {
+      events.push(`start-${id}`);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      events.push(`end-${id}`);
+    });
+
+    await Promise.all([task(1), task(2)]);
+    expect(events).toEqual(['start-1', 'end-1', 'start-2', 'end-2']);
+  });
+
+  it('stores, lists and deletes JSON objects', async () => {
+    expect(await adapter.getObject('aggregates/2023-01-01/shard-0.json')).toBeNull();
+
+    await adapter.putObject('aggregates/2023-01-01/shard-0.json', { runs: 1 });
+    await adapter.putObject('aggregates/2023-01-01/shard-0.json', { runs: 2 });
+    await adapter.putObject('aggregates/2023-01-02/shard-1.json', { runs: 5 });
+
+    expect(await adapter.getObject('aggregates/2023-01-01/shard-0.json')).toEqual({ runs: 2 });
+    expect(await adapter.listObjects('aggregates/2023-01-01/')).toEqual(['aggregates/2023-01-01/shard-0.json']);
+    expect((await adapter.listObjects('aggregates/')).length).toBe(2);
+
+    await adapter.deleteObject('aggregates/2023-01-01/shard-0.json');
+    await adapter.deleteObject('aggregates/missing.json');
+    expect(await adapter.listObjects('aggregates/2023-01-01/')).toEqual([]);
+  });
+
+  it('expires records by their ts, only under ips/, with a dry run first', async () => {
+    await adapter.putObject('audit/2023-01-01/10.1.1.1/1.json', { ip: '10.1.1.1' });
+    const cutoff = new Date('2023-01-02T00:45:00Z');
+    const all = { from: new Date('2023-01-01T00:00:00Z'), to: new Date('2023-01-02T23:59:59Z') };
+
+    const dry = await adapter.deleteOlderThan(cutoff, { dryRun: true });
+    expect(dry).toMatchObject({ deleted: 2, failed: 0 });
+    expect(dry.scanned).toBeGreaterThanOrEqual(2);
+    expect((await adapter.query(all)).length).toBe(3);
+
+    expect(await adapter.deleteOlderThan(cutoff)).toMatchObject({ deleted: 2, failed: 0 });
+    expect((await adapter.query(all)).map(r => r.run_id)).toEqual(['c']);
+    expect(await adapter.getObject('audit/2023-01-01/10.1.1.1/1.json')).toEqual({ ip: '10.1.1.1' });
+  });
+
+  it('deletes records older than a cutoff', async () => {
+    const result = await adapter.deleteOlderThan(new Date(Date.now() + 60 * 1000));
+    expect(result.deleted).toBeGreaterThan(0);
+
+    const remaining = await adapter.query({
+      from: new Date('2023-01-01T00:00:00Z'),
+      to: new Date('2023-01-03T00:00:00Z'),
+    });
+    expect(remaining).toEqual([]);
+  });
+});
+
+describe('GCS lock across instances', () => {
+  it('lets only one instance hold a key at a time', async () => {
+    const objects = new Map();
+    // Two adapters sharing one bucket, as two Cloud Run instances would
+    const a = createAdapter('gcs', { client: createFakeGcsClient(objects), bucketName: 'b' });
+    const b = createAdapter('gcs', { client: createFakeGcsClient(objects), bucketName: 'b' });
+
+    let holders = 0;
+    let maxHolders = 0;
+    const task = (adapter) => adapter.withLock('ip-1.2.3.4', async () => {
+      holders++;
+      maxHolders = Math.max(maxHolders, holders);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      holders--;
+    });
+
+    await Promise.all([task(a), task(b), task(a), task(b)]);
+    expect(maxHolders).toBe(1);
+    expect(objects.has('locks/ip-1.2.3.4.lock')).toBe(false);
+  });
+
+  it('breaks a stale lock left by a crashed instance', async () => {
+    const objects = new Map();
+    objects.set('locks/ip-9.9.9.9.lock', { content: '{}', generation: 99, timeCreated: '2020-01-01T00:00:00Z' });
+    const adapter = createAdapter('gcs', { client: createFakeGcsClient(objects), bucketName: 'b', lockTtlMs: 1000 });
+
+    await expect(adapter.withLock('ip-9.9.9.9', async () => 'done')).resolves.toBe('done');
+  });
+});
+
+describe('Write errors', () => {
+  const record = { ip: '10.3.3.3', run_id: 'w', ts: '2023-01-01T12:00:00Z' };
+
+  it('rejects a local append that cannot be written', async () => {
+    const dir = path.join(__dirname, 'test-data-adapter-write-error');
+    fs.rmSync(dir, { recursive: true, force: true });
+    // A file where the IP folder should be makes the write fail
+    fs.mkdirSync(path.join(dir, 'ips', '2023-01-01'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'ips', '2023-01-01', '10.3.3.3'), '');
+
+    try {
+      await expect(createAdapter('local', { dataDir: dir }).append(record)).rejects.toThrow();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects a GCS append that fails to save', async () => {
+    const client = createFakeGcsClient();
+    const bucket = client.bucket();
+    bucket.file = (name) => ({ name, save: async () => { throw new Error('503 Service Unavailable'); } });
+    client.bucket = () => bucket;
+
+    await expect(createAdapter('gcs', { client, bucketName: 'b' }).append(record)).rejects.toThrow('503');
+  });
+});
+
+describe('createAdapter', () => {
+  it('rejects unknown storage types', () => {
+    expect(() => createAdapter('s3', {})).toThrow(/Unknown STORAGE_TYPE/);
+  });
+});
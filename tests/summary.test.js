@@ -0,0 +1,80 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe.each(['local', 'sqlite'])('GET /summary (%s storage)', (storageType) => {
+  const token = 'test-token-summary';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, `test-data-summary-${storageType}`);
+  const today = new Date().toISOString().split('T')[0];
+  const ingest = (body) => request(app).post('/ingest').set(validHeaders).send(body);
+
+  beforeAll(async () => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = storageType;
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    const base = { repo: 'org/app', workflow: 'Daily Docker Cycle' };
+    await ingest({ ...base, ip: '10.2.0.1', run_id: 's1', ts: `${today}T01:00:00Z`, account_label: 'Account 1' });
+    await ingest({ ...base, ip: '10.2.0.1', run_id: 's2', ts: `${today}T02:00:00Z`, account_label: 'Account 2' });
+    await ingest({ ...base, ip: '10.2.0.2', run_id: 's3', ts: `${today}T03:00:00Z`, account_label: 'Account 1', workflow: 'Lint' });
+    await ingest({ ...base, ip: '10.2.0.3', run_id: 'old', ts: '2023-01-01T03:00:00Z', account_label: 'Account 1' });
+
+    await request(app).post('/gate').set(validHeaders).send({ ip: '10.2.0.1', run_id: 's1', ts: `${today}T01:00:00Z` });
+    await request(app).post('/gate').set(validHeaders).send({ ip: '10.2.0.1', run_id: 's2', ts: `${today}T02:00:00Z` });
+    // Decision counters are written after the response is sent
+    await new Promise(resolve => setTimeout(resolve, 100));
+  });
+
+  afterAll(() => {
+    config.STORAGE_TYPE = 'local';
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('returns today\'s aggregates', async () => {
+    const res = await request(app).get('/summary').set(validHeaders);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      date: today,
+      total_runs: 3,
+      unique_ips: 2,
+      runs_by_account: { 'Account 1': 2, 'Account 2': 1 },
+      runs_by_repo: { 'org/app': 3 },
+      runs_by_workflow: { 'Daily Docker Cycle': 2, 'Lint': 1 },
+      decisions: { allowed: 1, blocked: 1, by_reason: { gap_not_satisfied: 1 } },
+      top_reused_ips: [{ ip: '10.2.0.1', runs: 2 }],
+    });
+  });
+
+  it('counts a re-ingested run and a repeated /gate once', async () => {
+    await ingest({ repo: 'org/app', workflow: 'Lint', ip: '10.2.0.2', run_id: 's3', ts: `${today}T03:00:00Z`, account_label: 'Account 1' });
+    await request(app).post('/gate').set(validHeaders).send({ ip: '10.2.0.1', run_id: 's2', ts: `${today}T02:00:00Z` });
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const res = await request(app).get('/summary').set(validHeaders);
+    expect(res.body).toMatchObject({
+      total_runs: 3,
+      runs_by_workflow: { 'Daily Docker Cycle': 2, 'Lint': 1 },
+      decisions: { allowed: 1, blocked: 1 },
+    });
+  });
+
+  it('returns a past day by date', async () => {
+    const res = await request(app).get('/summary?date=2023-01-01').set(validHeaders);
+    expect(res.body).toMatchObject({ date: '2023-01-01', total_runs: 1, unique_ips: 1 });
+  });
+
+  it('rejects malformed dates', async () => {
+    const res = await request(app).get('/summary?date=yesterday').set(validHeaders);
+    expect(res.status).toBe(400);
+  });
+});
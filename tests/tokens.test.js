@@ -0,0 +1,162 @@
+const request = require('supertest');
+const crypto = require('crypto');
+const app = require('../src/app');
+const config = require('../src/config');
+const tokens = require('../src/tokens');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Scoped API tokens', () => {
+  const testDataDir = path.join(__dirname, 'test-data-tokens');
+  const tokenFile = path.join(__dirname, 'test-tokens.yaml');
+  const auth = (secret) => ({ 'Authorization': `Bearer ${secret}` });
+  const sha = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = 'legacy-secret';
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+
+    fs.writeFileSync(tokenFile, [
+      'tokens:',
+      '  - name: repo-a-old',
+      '    token: old-secret',
+      '    scopes: [ingest, gate]',
+      '    expires_at: 2020-01-01T00:00:00Z',
+      '  - name: repo-a-new',
+      `    token_sha256: "${sha('new-secret')}"`,
+      '    scopes: [ingest, gate]',
+      '  - name: acct-bound',
+      '    token: bound-secret',
+      '    scopes: [ingest, gate]',
+      '    accounts: ["111", "Account 2"]',
+      '  - name: dashboard',
+      '    token: read-secret',
+      '    scopes: [read]',
+      '  - name: acct-operator',
+      '    token: bound-admin-secret',
+      '    scopes: [admin, cleanup]',
+      '    accounts: ["111"]',
+      '  - name: acct-dashboard',
+      '    token: bound-read-secret',
+      '    scopes: [read]',
+      '    accounts: ["111"]',
+      '',
+    ].join('\n'));
+    config.API_TOKENS_FILE = tokenFile;
+  });
+
+  afterAll(() => {
+    config.API_TOKENS_FILE = undefined;
+    fs.rmSync(tokenFile, { force: true });
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('accepts several tokens at once, including the legacy COLLECTOR_TOKEN', async () => {
+    const body = { ip: '10.20.0.1', run_id: 'tk1', ts: new Date().toISOString() };
+    expect((await request(app).post('/ingest').set(auth('new-secret')).send(body)).statusCode).toBe(200);
+    expect((await request(app).post('/ingest').set(auth('legacy-secret')).send(body)).statusCode).toBe(200);
+    expect((await request(app).post('/ingest').set(auth('nope')).send(body)).statusCode).toBe(403);
+  });
+
+  it('rejects expired tokens', async () => {
+    const res = await request(app).post('/gate').set(auth('old-secret')).send({ ip: '10.20.0.1' });
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('Token expired');
+  });
+
+  it('enforces scopes per route', async () => {
+    const cleanup = await request(app).post('/cleanup').set(auth('new-secret'));
+    expect(cleanup.statusCode).toBe(403);
+    expect(cleanup.body.error).toMatch(/lacks scope "cleanup"/);
+
+    expect((await request(app).get('/admin/overrides').set(auth('read-secret'))).statusCode).toBe(403);
+    expect((await request(app).post('/ingest').set(auth('read-secret')).send({ ip: '1.1.1.1', run_id: 'x' })).statusCode).toBe(403);
+    expect((await request(app).get('/summary').set(auth('read-secret'))).statusCode).toBe(200);
+  });
+
+  it('requires the ingest scope to record a run through /gate', async () => {
+    const headers = auth('read-secret');
+    expect((await request(app).post('/gate?record=true').set(headers).send({ ip: '1.1.1.1' })).statusCode).toBe(403);
+  });
+
+  it('limits account-bound tokens to their accounts', async () => {
+    const send = (account) => request(app).post('/reserve').set(auth('bound-secret'))
+      .send({ ip: '10.20.0.2', run_id: `b-${account}`, account });
+
+    expect((await send('111')).statusCode).toBe(200);
+    expect((await send('222')).statusCode).toBe(403);
+
+    const byLabel = await request(app).post('/gate').set(auth('bound-secret'))
+      .send({ ip: '10.20.0.3', account: '111', account_label: 'Account 2' });
+    expect(byLabel.statusCode).toBe(200);
+
+    // Every account named must be allowed, not just one of them
+    const mixed = await request(app).post('/gate').set(auth('bound-secret'))
+      .send({ ip: '10.20.0.3', account: '333', account_label: 'Account 2' });
+    expect(mixed.statusCode).toBe(403);
+  });
+
+  it('does not let ?account= vouch for a different body account', async () => {
+    const res = await request(app).post('/ingest?account=111').set(auth('bound-secret'))
+      .send({ ip: '10.20.0.4', run_id: 'smuggled', account: '222', ts: new Date().toISOString() });
+    expect(res.statusCode).toBe(403);
+
+    const both = await request(app).post('/ingest?account=Account 2').set(auth('bound-secret'))
+      .send({ ip: '10.20.0.4', run_id: 'own', account: '111', ts: new Date().toISOString() });
+    expect(both.statusCode).toBe(403);
+
+    const same = await request(app).post('/ingest?account=111').set(auth('bound-secret'))
+      .send({ ip: '10.20.0.4', run_id: 'own', account: '111', ts: new Date().toISOString() });
+    expect(same.statusCode).toBe(200);
+  });
+
+  it('keeps account-bound tokens away from admin and cleanup', async () => {
+    const headers = auth('bound-admin-secret');
+    for (const res of [
+      await request(app).get('/admin/overrides?account=111').set(headers),
+      await request(app).delete('/admin/ips/10.20.0.2/records/b-111').set(headers),
+      await request(app).post('/cleanup?dry_run=true&account=111').set(headers),
+    ]) {
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toMatch(/bound to accounts/);
+    }
+  });
+
+  it('keeps account-bound read tokens to their own account', async () => {
+    const headers = auth('bound-read-secret');
+
+    // These always cover every account
+    for (const path of ['/summary', '/summary?account=111', '/policy']) {
+      const res = await request(app).get(path).set(headers);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toMatch(/bound to accounts/);
+    }
+
+    // Filtered reads must filter on one of the token's accounts
+    expect((await request(app).get('/audit').set(headers)).statusCode).toBe(403);
+    expect((await request(app).get('/audit?account=222').set(headers)).statusCode).toBe(403);
+    expect((await request(app).get('/audit?account=111').set(headers)).statusCode).toBe(200);
+    expect((await request(app).get('/export?account=222').set(headers)).statusCode).toBe(403);
+
+    const simulate = (body, query = '') => request(app).post(`/simulate${query}`).set(headers).send(body);
+    expect((await simulate({})).statusCode).toBe(403);
+    expect((await simulate({ account_label: '111' })).statusCode).toBe(403);
+    expect((await simulate({}, '?account=111')).statusCode).toBe(403);
+    expect((await simulate({ account: '111', policy: { max_runs_per_day: 2 } })).statusCode).toBe(200);
+  });
+
+  it('validates the token file', () => {
+    expect(() => tokens.normalizeTokens({ tokens: [{ name: 'x', token: 's', scopes: ['root'] }] }))
+      .toThrow(/unknown scope "root"/);
+    expect(() => tokens.normalizeTokens({ tokens: [{ name: 'x', scopes: ['read'] }] }))
+      .toThrow(/"token" or "token_sha256"/);
+    expect(() => tokens.normalizeTokens({
+      tokens: [{ name: 'x', token: 'a', scopes: ['read'] }, { name: 'x', token: 'b', scopes: ['read'] }],
+    })).toThrow(/duplicate name/);
+  });
+});
@@ -0,0 +1,94 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const storage = require('../src/storage');
+const validation = require('../src/validation');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('v2 API', () => {
+  const token = 'test-token-v2';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-v2');
+  const ts = new Date().toISOString();
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDataDir, { recursive: true, force: true });
+  });
+
+  it('stores a valid run and decides it', async () => {
+    const body = { ip: '2001:db8::7', run_id: '9001', ts, repo: 'octo/app', workflow: 'Build', asn: 'AS15169', country: 'us' };
+    const ingest = await request(app).post('/v2/ingest').set(validHeaders).send(body);
+    expect(ingest.statusCode).toBe(200);
+    expect(await storage.getRecordsForIpToday('2001:db8::7')).toHaveLength(1);
+
+    const gate = await request(app).post('/v2/gate').set(validHeaders).send(body);
+    expect(gate.body).toMatchObject({ should_run: true, uses_today: 1 });
+  });
+
+  it('stamps a run sent without ts so later decisions still work', async () => {
+    const ingest = await request(app).post('/v2/ingest').set(validHeaders).send({ ip: '198.51.100.41', run_id: '9101' });
+    expect(ingest.statusCode).toBe(200);
+    const [stored] = await storage.getRecordsForIpToday('198.51.100.41');
+    expect(Date.parse(stored.ts)).not.toBeNaN();
+
+    const gate = await request(app).post('/v2/gate').set(validHeaders).send({ ip: '198.51.100.41', run_id: '9102' });
+    expect(gate.statusCode).toBe(200);
+    expect(gate.body).toMatchObject({ should_run: false, reason: 'gap_not_satisfied' });
+
+    const reserve = await request(app).post('/v2/reserve').set(validHeaders).send({ ip: '198.51.100.41', run_id: '9103' });
+    expect(reserve.statusCode).toBe(200);
+    expect(reserve.body).toMatchObject({ should_run: false, reason: 'gap_not_satisfied' });
+  });
+
+  it('lists every violation in a structured 400', async () => {
+    const res = await request(app).post('/v2/ingest').set(validHeaders)
+      .send({ ip: 'unknown', ts: '2024-06-01 noon', repo: 'x'.repeat(300), extra: true });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Invalid request body');
+    expect(res.body.violations).toEqual(expect.arrayContaining([
+      { field: 'run_id', message: 'is required' },
+      { field: 'extra', message: 'is not allowed' },
+      { field: 'ip', message: 'must be an IPv4 or IPv6 address' },
+      { field: 'ts', message: 'must be an ISO 8601 date-time with a time zone' },
+      { field: 'repo', message: 'must NOT have more than 200 characters' },
+    ]));
+    expect(await storage.getRecordsForIpToday('unknown')).toEqual([]);
+  });
+
+  it('rejects invalid gate and reserve bodies instead of failing open', async () => {
+    const gate = await request(app).post('/v2/gate').set(validHeaders).send({ ip: 'unknown', run_id: '1' });
+    expect(gate.statusCode).toBe(400);
+
+    const reserve = await request(app).post('/v2/reserve').set(validHeaders).send({ ip: '10.60.0.1', run_id: 'a/b' });
+    expect(reserve.statusCode).toBe(400);
+    expect(reserve.body.violations).toEqual([{ field: 'run_id', message: 'must match pattern "^[A-Za-z0-9._-]+$"' }]);
+
+    expect((await request(app).post('/v2/reserve').set(validHeaders).send({ ip: '10.60.0.1', run_id: 'r1' })).body.should_run).toBe(true);
+  });
+
+  it('keeps v1 lenient', async () => {
+    const res = await request(app).post('/ingest').set(validHeaders).send({ ip: '10.60.0.2', run_id: 'v1', extra: 'kept' });
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('publishes the schema without auth', async () => {
+    const res = await request(app).get('/v2/schemas/run.json');
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.text)).toEqual(validation.SCHEMAS.run);
+    expect((await request(app).get('/v2/schemas/nope.json')).statusCode).toBe(404);
+  });
+});
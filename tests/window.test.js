@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../src/app');
+const config = require('../src/config');
+const gate = require('../src/gate');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@google-cloud/storage');
+jest.mock('@google-cloud/bigquery');
+
+describe('Rolling Window Gate', () => {
+  const token = 'test-token-window';
+  const validHeaders = { 'Authorization': `Bearer ${token}` };
+  const testDataDir = path.join(__dirname, 'test-data-window');
+  const limits = { max_runs_per_day: 3, min_gap_hours: 7 };
+
+  beforeAll(() => {
+    config.COLLECTOR_TOKEN = token;
+    config.STORAGE_TYPE = 'local';
+    config.LOCAL_DATA_DIR = testDataDir;
+    config.MAX_RUNS_PER_IP_PER_DAY = 3;
+    config.MIN_GAP_HOURS_PER_IP = 7;
+    config.GATE_WINDOW_HOURS = 24;
+
+    if (fs.existsSync(testDataDir)) {
+      fs.rmSync(testDataDir, { recursive: true, force: true });
+    }
+  });
+
+  afterAll(() => {
+    config.GATE_WINDOW_MODE = 'utc_day';
+    if (fs.existsSync(testDataDir)) {
+      fs.rmSync(testDataDir, { recursive: true, force: true });
+    }
+  });
+
+  describe('evaluateRecords', () => {
+    const records = [
+      { run_id: 'a', ts: '2023-01-01T23:30:00Z' },
+      { run_id: 'b', ts: '2023-01-02T00:30:00Z' },
+    ];
+
+    it('blocks a run 1h after midnight in rolling mode', () => {
+      const decisions = gate.evaluateRecords(records, { ...limits, window_mode: 'rolling' });
+      expect(decisions.get('a').should_run).toBe(true);
+      expect(decisions.get('b')).toEqual({ should_run: false, reason: 'gap_not_satisfied' });
+    });
+
+    it('counts max runs over the sliding window, not the calendar day', () => {
+      const runs = [
+        { run_id: '1', ts: '2023-01-01T08:00:00Z' },
+        { run_id: '2', ts: '2023-01-01T16:00:00Z' },
+        { run_id: '3', ts: '2023-01-02T00:00:00Z' },
+        { run_id: '4', ts: '2023-01-02T07:30:00Z' }, // 3 allowed runs in the last 24h
+        { run_id: '5', ts: '2023-01-02T08:30:00Z' }, // run 1 has left the window
+      ];
+      const decisions = gate.evaluateRecords(runs, { ...limits, window_mode: 'rolling' });
+      expect(decisions.get('3').should_run).toBe(true);
+      expect(decisions.get('4')).toEqual({ should_run: false, reason: 'max_runs_reached' });
+      expect(decisions.get('5').should_run).toBe(true);
+    });
+
+    it('keeps the legacy per-day position check in utc_day mode', () => {
+      const decisions = gate.evaluateRecords(records, { ...limits, window_mode: 'utc_day' });
+      // Both are in the list, so the gap is enforced; utc_day only differs by what it reads.
+      expect(decisions.get('b').reason).toBe('gap_not_satisfied');
+    });
+
+    it('enforces fractional gaps exactly', () => {
+      const runs = [
+        { run_id: '1', ts: '2023-01-01T08:00:00Z' },
+        { run_id: '2', ts: '2023-01-01T08:20:00Z' }, // 20 min after run 1
+        { run_id: '3', ts: '2023-01-01T08:40:00Z' }, // 40 min after run 1
+        { run_id: '4', ts: '2023-01-01T09:29:59Z' }, // 1s short of 1.5h after run 1
+        { run_id: '5', ts: '2023-01-01T09:30:00Z' }, // exactly 1.5h after run 1
+      ];
+      const decisions = gate.evaluateRecords(runs, { max_runs_per_day: 10, min_gap_hours: 0.5, window_mode: 'utc_day' });
+      expect(decisions.get('2')).toEqual({ should_run: false, reason: 'gap_not_satisfied' });
+      expect(decisions.get('3').should_run).toBe(true);
+
+      const hourAndHalf = gate.evaluateRecords(runs, { max_runs_per_day: 10, min_gap_hours: 1.5, window_mode: 'utc_day' });
+      expect(hourAndHalf.get('4').reason).toBe('gap_not_satisfied');
+      expect(hourAndHalf.get('5').should_run).toBe(true);
+    });
+  });
+
+  it('reads across day partitions on /gate', async () => {
+    config.GATE_WINDOW_MODE = 'rolling';
+    const ip = '10.9.9.9';
+    const now = Date.now();
+    const earlier = new Date(now - 60 * 60 * 1000).toISOString();
+    const later = new Date(now).toISOString();
+
+    // Force the earlier record into yesterday's partition to simulate a midnight crossing.
+    const yesterday = new Date(now - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const dir = path.join(testDataDir, 'ips', yesterday, ip);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'old.json'), JSON.stringify({ ip, run_id: 'early', ts: earlier }));
+
+    await request(app).post('/ingest').set(validHeaders).send({ ip, run_id: 'late', ts: later });
+
+    const res = await request(app)
+      .post('/gate')
+      .set(validHeaders)
+      .send({ ip, run_id: 'late', ts: later });
+
+    expect(res.body.should_run).toBe(false);
+    expect(res.body.reason).toBe('gap_not_satisfied');
+    expect(res.body.uses_today).toBe(2);
+  });
+});